@@ -14,6 +14,11 @@ builder.Services.AddScoped(sp => httpClient);
 builder.Services.AddSingleton(sp => new WorkspaceService(httpClient));
 builder.Services.AddScoped<CompilationService>();
 builder.Services.AddScoped<CompletionService>();
+builder.Services.AddScoped<DefinitionService>();
+builder.Services.AddScoped<FormattingService>();
+builder.Services.AddScoped<CodeActionService>();
+builder.Services.AddScoped<SemanticTokensService>();
+builder.Services.AddScoped<MarkupService>();
 builder.Services.AddScoped<ExecutionService>();
 builder.Services.AddScoped<UrlStateService>();
 
@@ -6,18 +6,24 @@ namespace Spectre.Docs.Playground.Services;
 /// <summary>
 /// ITerminal implementation for browser/WASM environments.
 /// Wraps the playground's terminal infrastructure to enable Spectre.Tui rendering.
+/// The size follows the console profile, so layouts adapt when the terminal is resized.
+/// Mouse events are available through <see cref="TryReadMouse"/> once <see cref="EnableMouse"/> is called.
 /// </summary>
 public class BrowserTerminal : ITerminal
 {
     private readonly IAnsiConsole _console;
-    private readonly int _width;
-    private readonly int _height;
 
-    public BrowserTerminal(IAnsiConsole console, int width, int height)
+    public BrowserTerminal(IAnsiConsole console)
     {
         _console = console;
-        _width = width;
-        _height = height;
+    }
+
+    /// <summary>
+    /// Kept for compatibility with existing code; the size is read live from the console profile.
+    /// </summary>
+    public BrowserTerminal(IAnsiConsole console, int width, int height)
+        : this(console)
+    {
     }
 
     public void Clear()
@@ -28,7 +34,7 @@ public class BrowserTerminal : ITerminal
 
     public Spectre.Tui.Size GetSize()
     {
-        return new Spectre.Tui.Size(_width, _height);
+        return new Spectre.Tui.Size(_console.Profile.Width, _console.Profile.Height);
     }
 
     public void MoveTo(int x, int y)
@@ -89,6 +95,56 @@ public class BrowserTerminal : ITerminal
         _console.Profile.Out.Writer.Flush();
     }
 
+    /// <summary>
+    /// Ask the terminal to report mouse presses, releases and drags.
+    /// </summary>
+    /// <param name="trackMotion">Also report moves while no button is held</param>
+    public void EnableMouse(bool trackMotion = false)
+    {
+        // Button/drag (1002) or any-motion (1003) tracking, SGR encoded (1006)
+        _console.Profile.Out.Writer.Write(trackMotion ? "\x1b[?1003h\x1b[?1006h" : "\x1b[?1002h\x1b[?1006h");
+    }
+
+    /// <summary>
+    /// Stop mouse reporting so clicks select text again.
+    /// </summary>
+    public void DisableMouse()
+    {
+        _console.Profile.Out.Writer.Write("\x1b[?1002l\x1b[?1003l\x1b[?1006l");
+    }
+
+    /// <summary>
+    /// Ask the terminal to wrap pasted text in ESC [200~ and ESC [201~ key sequences,
+    /// so a paste can be told apart from typing.
+    /// </summary>
+    public void EnableBracketedPaste()
+    {
+        _console.Profile.Out.Writer.Write("\x1b[?2004h");
+    }
+
+    /// <summary>
+    /// Deliver pasted text as plain keys again.
+    /// </summary>
+    public void DisableBracketedPaste()
+    {
+        _console.Profile.Out.Writer.Write("\x1b[?2004l");
+    }
+
+    /// <summary>
+    /// Try to read a mouse event without blocking.
+    /// </summary>
+    public bool TryReadMouse(out MouseEvent mouseEvent)
+    {
+        var terminalIO = SharedTerminalIO.Instance;
+        if (terminalIO == null)
+        {
+            mouseEvent = default;
+            return false;
+        }
+
+        return terminalIO.TryReadMouse(out mouseEvent);
+    }
+
     public void Dispose()
     {
         // Nothing to dispose in browser environment
@@ -0,0 +1,277 @@
+using System.Collections.Immutable;
+using System.Reflection;
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CodeActions;
+using Microsoft.CodeAnalysis.CodeFixes;
+using Microsoft.CodeAnalysis.CodeRefactorings;
+using Microsoft.CodeAnalysis.Host.Mef;
+using Microsoft.CodeAnalysis.Text;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Offers Roslyn's code fixes for the diagnostics in a range (add using, generate variable, fix spelling...)
+/// and its refactorings, with the text edits each one makes.
+/// </summary>
+public class CodeActionService
+{
+    // Working out an action's edits runs it, so only this many are offered at a time
+    private const int MaxActions = 25;
+
+    // Roslyn's C# providers are MEF parts in the Features assemblies; the ones with a parameterless
+    // constructor need nothing from the host and can be created directly
+    private static readonly Lazy<IReadOnlyList<CodeFixProvider>> CodeFixProviders =
+        new(() => CreateProviders<CodeFixProvider, ExportCodeFixProviderAttribute>(attribute => attribute.Languages));
+
+    private static readonly Lazy<IReadOnlyList<CodeRefactoringProvider>> CodeRefactoringProviders =
+        new(() => CreateProviders<CodeRefactoringProvider, ExportCodeRefactoringProviderAttribute>(attribute => attribute.Languages));
+
+    private readonly WorkspaceService _workspaceService;
+
+    public CodeActionService(WorkspaceService workspaceService)
+    {
+        _workspaceService = workspaceService;
+    }
+
+    /// <summary>
+    /// Gets the code fixes for the diagnostics between two 1-based positions, and the refactorings
+    /// available there if <paramref name="includeRefactorings"/> is set (they take longer to compute).
+    /// </summary>
+    public async Task<List<CodeActionData>> GetCodeActionsAsync(IReadOnlyList<SourceFile> files, string fileName,
+        int startLine, int startColumn, int endLine, int endColumn, bool includeRefactorings)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return [];
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var start = WorkspaceService.GetPosition(sourceText, startLine, startColumn);
+            var end = WorkspaceService.GetPosition(sourceText, endLine, endColumn);
+
+            if (start < 0 || end < start || end > sourceText.Length)
+            {
+                return [];
+            }
+
+            var span = TextSpan.FromBounds(start, end);
+            List<(CodeAction Action, string Kind, Diagnostic? Diagnostic)> actions = [];
+
+            var semanticModel = await document.GetSemanticModelAsync();
+            if (semanticModel != null)
+            {
+                // Diagnostics touching the range, errors first
+                var diagnostics = semanticModel.GetDiagnostics()
+                    .Where(d => d.Severity != DiagnosticSeverity.Hidden && d.Location.SourceSpan.IntersectsWith(span))
+                    .OrderByDescending(d => d.Severity);
+
+                foreach (var diagnostic in diagnostics)
+                {
+                    foreach (var provider in CodeFixProviders.Value.Where(p => p.FixableDiagnosticIds.Contains(diagnostic.Id)))
+                    {
+                        try
+                        {
+                            var context = new CodeFixContext(document, diagnostic,
+                                (action, _) => actions.Add((action, CodeActionData.QuickFixKind, diagnostic)),
+                                CancellationToken.None);
+                            await provider.RegisterCodeFixesAsync(context);
+                        }
+                        catch (Exception ex)
+                        {
+                            System.Console.WriteLine($"Code fix error ({provider.GetType().Name}): {ex.Message}");
+                        }
+                    }
+                }
+            }
+
+            if (includeRefactorings)
+            {
+                foreach (var provider in CodeRefactoringProviders.Value)
+                {
+                    try
+                    {
+                        var context = new CodeRefactoringContext(document, span,
+                            action => actions.Add((action, CodeActionData.RefactorKind, null)),
+                            CancellationToken.None);
+                        await provider.ComputeRefactoringsAsync(context);
+                    }
+                    catch (Exception ex)
+                    {
+                        System.Console.WriteLine($"Refactoring error ({provider.GetType().Name}): {ex.Message}");
+                    }
+                }
+            }
+
+            List<CodeActionData> result = [];
+            var titles = new HashSet<string>();
+            foreach (var (action, kind, diagnostic) in actions)
+            {
+                // An action like "using Spectre.Console;" or "Spectre.Console.Color" groups its choices
+                ImmutableArray<CodeAction> choices = action.NestedActions.IsDefaultOrEmpty ? [action] : action.NestedActions;
+                foreach (var choice in choices)
+                {
+                    if (result.Count >= MaxActions)
+                    {
+                        return result;
+                    }
+
+                    var title = choice == action ? action.Title : $"{action.Title}: {choice.Title}";
+                    if (!titles.Add(title))
+                    {
+                        continue;
+                    }
+
+                    var edits = await GetEditsAsync(document, files, choice);
+                    if (edits == null || edits.Count == 0)
+                    {
+                        continue;
+                    }
+
+                    result.Add(new CodeActionData
+                    {
+                        Title = title,
+                        Kind = kind,
+                        DiagnosticId = diagnostic?.Id,
+                        // The first fix for an error is what Ctrl+. applies by default
+                        IsPreferred = diagnostic?.Severity == DiagnosticSeverity.Error &&
+                                      result.All(a => a.DiagnosticId != diagnostic.Id),
+                        Edits = edits
+                    });
+                }
+            }
+
+            return result;
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Code action error: {ex.Message}");
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Runs an action and returns the edits it makes to the user's files, or null if it does
+    /// something an edit can't express (adds or removes files, changes the workspace's own documents).
+    /// </summary>
+    private static async Task<List<FileEditData>?> GetEditsAsync(Document document, IReadOnlyList<SourceFile> files, CodeAction action)
+    {
+        ImmutableArray<CodeActionOperation> operations;
+        try
+        {
+            operations = await action.GetOperationsAsync(CancellationToken.None);
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Code action error ({action.Title}): {ex.Message}");
+            return null;
+        }
+
+        var apply = operations.OfType<ApplyChangesOperation>().SingleOrDefault();
+        if (apply == null)
+        {
+            return null;
+        }
+
+        var oldSolution = document.Project.Solution;
+        var changes = apply.ChangedSolution.GetChanges(oldSolution);
+
+        List<FileEditData> result = [];
+        foreach (var projectChanges in changes.GetProjectChanges())
+        {
+            if (projectChanges.GetAddedDocuments().Any() || projectChanges.GetRemovedDocuments().Any())
+            {
+                return null;
+            }
+
+            foreach (var documentId in projectChanges.GetChangedDocuments())
+            {
+                var oldDocument = oldSolution.GetDocument(documentId)!;
+                var newDocument = apply.ChangedSolution.GetDocument(documentId)!;
+                if (files.All(file => file.Name != oldDocument.Name))
+                {
+                    return null;
+                }
+
+                var oldText = await oldDocument.GetTextAsync();
+                var edits = (await newDocument.GetTextChangesAsync(oldDocument))
+                    .Select(change => FormattingService.CreateEdit(oldText, change))
+                    .ToList();
+                result.Add(new FileEditData { FileName = oldDocument.Name, Edits = edits });
+            }
+        }
+
+        return result;
+    }
+
+    private static IReadOnlyList<TProvider> CreateProviders<TProvider, TAttribute>(Func<TAttribute, string[]> getLanguages)
+        where TAttribute : Attribute
+    {
+        List<TProvider> providers = [];
+        foreach (var assembly in MefHostServices.DefaultAssemblies)
+        {
+            Type[] types;
+            try
+            {
+                types = assembly.GetTypes();
+            }
+            catch (ReflectionTypeLoadException ex)
+            {
+                types = ex.Types.OfType<Type>().ToArray();
+            }
+
+            foreach (var type in types)
+            {
+                if (type.IsAbstract || !typeof(TProvider).IsAssignableFrom(type) || type.GetConstructor(Type.EmptyTypes) == null)
+                {
+                    continue;
+                }
+
+                var attribute = type.GetCustomAttribute<TAttribute>();
+                if (attribute == null || !getLanguages(attribute).Contains(LanguageNames.CSharp))
+                {
+                    continue;
+                }
+
+                try
+                {
+                    providers.Add((TProvider)Activator.CreateInstance(type)!);
+                }
+                catch (Exception ex)
+                {
+                    System.Console.WriteLine($"Failed to create {type.Name}: {ex.Message}");
+                }
+            }
+        }
+
+        return providers;
+    }
+}
+
+/// <summary>
+/// A code fix or refactoring and the edits it makes.
+/// </summary>
+public class CodeActionData
+{
+    public const string QuickFixKind = "quickfix";
+    public const string RefactorKind = "refactor";
+
+    public string Title { get; set; } = "";
+    public string Kind { get; set; } = QuickFixKind;
+    public string? DiagnosticId { get; set; }
+    public bool IsPreferred { get; set; }
+    public List<FileEditData> Edits { get; set; } = [];
+}
+
+/// <summary>
+/// The edits a code action makes to one of the user's files.
+/// </summary>
+public class FileEditData
+{
+    public string FileName { get; set; } = "";
+    public List<TextEditData> Edits { get; set; } = [];
+}
@@ -11,11 +11,11 @@ public class CompilationService
         _workspaceService = workspaceService;
     }
 
-    public async Task<CompilationResult> CompileAsync(string code)
+    public async Task<CompilationResult> CompileAsync(IReadOnlyList<SourceFile> files)
     {
         await _workspaceService.EnsureInitializedAsync();
 
-        var compilation = _workspaceService.CreateCompilation(code);
+        var compilation = _workspaceService.CreateCompilation(files);
 
         using var ms = new MemoryStream();
         var result = compilation.Emit(ms);
@@ -39,6 +39,62 @@ public class CompilationService
             Diagnostics = result.Diagnostics.ToList()
         };
     }
+
+    /// <summary>
+    /// Checks the files without emitting an assembly, for diagnostics while the user types.
+    /// </summary>
+    public async Task<List<DiagnosticData>> GetDiagnosticsAsync(IReadOnlyList<SourceFile> files, CancellationToken cancellationToken = default)
+    {
+        await _workspaceService.EnsureInitializedAsync();
+
+        var compilation = _workspaceService.CreateCompilation(files);
+
+        // Off the UI thread, so the editor stays responsive while the project is checked
+        var diagnostics = await Task.Run(() => compilation.GetDiagnostics(cancellationToken), cancellationToken);
+
+        return ToDiagnosticData(diagnostics, files);
+    }
+
+    /// <summary>
+    /// Converts Roslyn diagnostics to editor markers: errors first, then by file and position.
+    /// Hidden diagnostics and those in the workspace's own documents are left out.
+    /// </summary>
+    public static List<DiagnosticData> ToDiagnosticData(IEnumerable<Diagnostic> diagnostics, IReadOnlyList<SourceFile> files)
+    {
+        var fileOrder = files.Select((file, index) => (file.Name, index)).ToDictionary(x => x.Name, x => x.index);
+
+        return diagnostics
+            .Where(d => d.Severity != DiagnosticSeverity.Hidden)
+            .Select(d => (Diagnostic: d, Span: d.Location.GetLineSpan()))
+            .Where(x => !x.Diagnostic.Location.IsInSource || fileOrder.ContainsKey(x.Span.Path))
+            .OrderByDescending(x => x.Diagnostic.Severity)
+            .ThenBy(x => fileOrder.GetValueOrDefault(x.Span.Path, -1))
+            .ThenBy(x => x.Span.StartLinePosition)
+            .Select(x => new DiagnosticData
+            {
+                Id = x.Diagnostic.Id,
+                Severity = GetMarkerSeverity(x.Diagnostic.Severity),
+                Message = x.Diagnostic.GetMessage(),
+                FileName = x.Diagnostic.Location.IsInSource ? x.Span.Path : null,
+                StartLine = x.Span.StartLinePosition.Line + 1, // Convert to 1-based
+                StartColumn = x.Span.StartLinePosition.Character + 1,
+                EndLine = x.Span.EndLinePosition.Line + 1,
+                EndColumn = x.Span.EndLinePosition.Character + 1
+            })
+            .ToList();
+    }
+
+    private static int GetMarkerSeverity(DiagnosticSeverity severity)
+    {
+        // Monaco MarkerSeverity: Hint = 1, Info = 2, Warning = 4, Error = 8
+        return severity switch
+        {
+            DiagnosticSeverity.Error => 8,
+            DiagnosticSeverity.Warning => 4,
+            DiagnosticSeverity.Info => 2,
+            _ => 1
+        };
+    }
 }
 
 public class CompilationResult
@@ -47,3 +103,18 @@ public class CompilationResult
     public byte[]? Assembly { get; set; }
     public List<Diagnostic> Diagnostics { get; set; } = [];
 }
+
+public class DiagnosticData
+{
+    public string Id { get; set; } = "";
+    public int Severity { get; set; }
+    public string Message { get; set; } = "";
+    // Null for diagnostics without a source location, such as a missing entry point
+    public string? FileName { get; set; }
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+
+    public bool IsError => Severity == 8;
+}
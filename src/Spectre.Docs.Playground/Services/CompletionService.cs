@@ -1,4 +1,8 @@
 using System.Collections.Immutable;
+using System.Text;
+using System.Xml.Linq;
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
 using Microsoft.CodeAnalysis.QuickInfo;
 using Microsoft.CodeAnalysis.Text;
 
@@ -13,23 +17,23 @@ public class CompletionService
         _workspaceService = workspaceService;
     }
 
-    public async Task<List<CompletionItemData>> GetCompletionsAsync(string code, int lineNumber, int column)
+    public async Task<List<CompletionItemData>> GetCompletionsAsync(IReadOnlyList<SourceFile> files, string fileName, int lineNumber, int column)
     {
         try
         {
             await _workspaceService.EnsureInitializedAsync();
 
-            var document = _workspaceService.CreateDocument(code);
+            var document = _workspaceService.CreateDocument(files, fileName);
             if (document == null)
             {
                 return [];
             }
 
             // Convert line/column to absolute position
-            var sourceText = SourceText.From(code);
+            var sourceText = await document.GetTextAsync();
             var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
 
-            if (position < 0 || position > code.Length)
+            if (position < 0 || position > sourceText.Length)
             {
                 return [];
             }
@@ -64,23 +68,23 @@ public class CompletionService
         }
     }
 
-    public async Task<HoverData?> GetHoverAsync(string code, int lineNumber, int column)
+    public async Task<HoverData?> GetHoverAsync(IReadOnlyList<SourceFile> files, string fileName, int lineNumber, int column)
     {
         try
         {
             await _workspaceService.EnsureInitializedAsync();
 
-            var document = _workspaceService.CreateDocument(code);
+            var document = _workspaceService.CreateDocument(files, fileName);
             if (document == null)
             {
                 return null;
             }
 
             // Convert line/column to absolute position
-            var sourceText = SourceText.From(code);
+            var sourceText = await document.GetTextAsync();
             var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
 
-            if (position < 0 || position > code.Length)
+            if (position < 0 || position > sourceText.Length)
             {
                 return null;
             }
@@ -155,6 +159,258 @@ public class CompletionService
         }
     }
 
+    /// <summary>
+    /// Gets the overloads of the method or constructor whose argument list contains the position,
+    /// with the parameter being typed and the summaries from the XML documentation.
+    /// </summary>
+    public async Task<SignatureHelpData?> GetSignatureHelpAsync(IReadOnlyList<SourceFile> files, string fileName, int lineNumber, int column)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return null;
+            }
+
+            // Convert line/column to absolute position
+            var sourceText = await document.GetTextAsync();
+            var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
+
+            if (position <= 0 || position > sourceText.Length)
+            {
+                return null;
+            }
+
+            var root = await document.GetSyntaxRootAsync();
+            var semanticModel = await document.GetSemanticModelAsync();
+            if (root == null || semanticModel == null)
+            {
+                return null;
+            }
+
+            // The innermost argument list the position is inside of, between its parentheses
+            var argumentList = root.FindToken(position - 1).Parent?
+                .AncestorsAndSelf()
+                .OfType<ArgumentListSyntax>()
+                .FirstOrDefault(list => position > list.OpenParenToken.SpanStart &&
+                                        (list.CloseParenToken.IsMissing || position <= list.CloseParenToken.SpanStart));
+            if (argumentList?.Parent is not { } call)
+            {
+                return null;
+            }
+
+            var methods = GetOverloads(semanticModel, call, position);
+            if (methods.Count == 0)
+            {
+                return null;
+            }
+
+            // The argument being typed, by the commas before the position
+            var argumentIndex = argumentList.Arguments.GetSeparators().Count(separator => separator.SpanStart < position);
+            var argument = argumentIndex < argumentList.Arguments.Count ? argumentList.Arguments[argumentIndex] : null;
+            var argumentName = argument?.NameColon?.Name.Identifier.ValueText;
+
+            var resolved = semanticModel.GetSymbolInfo(call).Symbol as IMethodSymbol;
+            var activeSignature = methods.FindIndex(method => SymbolEqualityComparer.Default.Equals(method, resolved));
+            if (activeSignature < 0)
+            {
+                // Not resolved yet (the call is incomplete): the first overload that takes this many arguments
+                activeSignature = Math.Max(0, methods.FindIndex(method =>
+                    method.Parameters.Length > argumentIndex || method.Parameters.LastOrDefault()?.IsParams == true));
+            }
+
+            var signatures = methods
+                .Select(method => CreateSignature(semanticModel, position, method, GetActiveParameter(method, argumentIndex, argumentName)))
+                .ToList();
+
+            return new SignatureHelpData
+            {
+                Signatures = signatures,
+                ActiveSignature = activeSignature,
+                ActiveParameter = signatures[activeSignature].ActiveParameter
+            };
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Signature help error: {ex.Message}");
+            return null;
+        }
+    }
+
+    private static List<IMethodSymbol> GetOverloads(SemanticModel semanticModel, SyntaxNode call, int position)
+    {
+        switch (call)
+        {
+            case InvocationExpressionSyntax invocation:
+                // Includes extension methods, in their reduced form
+                return semanticModel.GetMemberGroup(invocation.Expression).OfType<IMethodSymbol>().ToList();
+
+            case BaseObjectCreationExpressionSyntax creation:
+                if (semanticModel.GetTypeInfo(creation).Type is not INamedTypeSymbol type)
+                {
+                    return [];
+                }
+                return type.InstanceConstructors
+                    .Where(constructor => semanticModel.IsAccessible(position, constructor))
+                    .ToList();
+
+            default:
+                return [];
+        }
+    }
+
+    private static int GetActiveParameter(IMethodSymbol method, int argumentIndex, string? argumentName)
+    {
+        if (argumentName != null)
+        {
+            var named = method.Parameters.Select(parameter => parameter.Name).ToList().IndexOf(argumentName);
+            if (named >= 0)
+            {
+                return named;
+            }
+        }
+
+        // Extra arguments go to a params array
+        if (argumentIndex >= method.Parameters.Length && method.Parameters.LastOrDefault()?.IsParams == true)
+        {
+            return method.Parameters.Length - 1;
+        }
+
+        return argumentIndex;
+    }
+
+    private static readonly SymbolDisplayFormat SignatureTypeFormat = SymbolDisplayFormat.MinimallyQualifiedFormat;
+
+    private static readonly SymbolDisplayFormat SignatureParameterFormat = SymbolDisplayFormat.MinimallyQualifiedFormat
+        .WithParameterOptions(
+            SymbolDisplayParameterOptions.IncludeType |
+            SymbolDisplayParameterOptions.IncludeName |
+            SymbolDisplayParameterOptions.IncludeDefaultValue |
+            SymbolDisplayParameterOptions.IncludeParamsRefOut |
+            SymbolDisplayParameterOptions.IncludeExtensionThis);
+
+    private static SignatureData CreateSignature(SemanticModel semanticModel, int position, IMethodSymbol method, int activeParameter)
+    {
+        // Label like "Table Table.AddColumn(string column)", with each parameter's offsets recorded
+        var label = new StringBuilder();
+        if (method.MethodKind == MethodKind.Constructor)
+        {
+            label.Append(method.ContainingType.ToMinimalDisplayString(semanticModel, position, SignatureTypeFormat));
+        }
+        else
+        {
+            var receiver = method.ReducedFrom != null ? method.ReceiverType! : method.ContainingType;
+            label.Append(method.ReturnType.ToMinimalDisplayString(semanticModel, position, SignatureTypeFormat))
+                .Append(' ')
+                .Append(receiver.ToMinimalDisplayString(semanticModel, position, SignatureTypeFormat))
+                .Append('.')
+                .Append(method.Name);
+            if (method.TypeArguments.Length > 0)
+            {
+                label.Append('<')
+                    .AppendJoin(", ", method.TypeArguments.Select(type => type.ToMinimalDisplayString(semanticModel, position, SignatureTypeFormat)))
+                    .Append('>');
+            }
+        }
+
+        var documentation = ParseDocumentation((method.ReducedFrom ?? method.OriginalDefinition).GetDocumentationCommentXml());
+
+        label.Append('(');
+        List<ParameterData> parameters = [];
+        foreach (var parameter in method.Parameters)
+        {
+            if (parameters.Count > 0)
+            {
+                label.Append(", ");
+            }
+
+            var start = label.Length;
+            label.Append(parameter.ToMinimalDisplayString(semanticModel, position, SignatureParameterFormat));
+            parameters.Add(new ParameterData
+            {
+                Start = start,
+                End = label.Length,
+                Documentation = documentation.Parameters.GetValueOrDefault(parameter.Name)
+            });
+        }
+        label.Append(')');
+
+        return new SignatureData
+        {
+            Label = label.ToString(),
+            Documentation = documentation.Summary,
+            Parameters = parameters,
+            ActiveParameter = activeParameter
+        };
+    }
+
+    /// <summary>
+    /// Extracts the summary and parameter descriptions from a member's XML documentation, as markdown.
+    /// </summary>
+    private static (string? Summary, Dictionary<string, string> Parameters) ParseDocumentation(string? xml)
+    {
+        Dictionary<string, string> parameters = [];
+        if (string.IsNullOrWhiteSpace(xml))
+        {
+            return (null, parameters);
+        }
+
+        try
+        {
+            // The documentation provider returns the contents of the <member> element
+            var member = XElement.Parse($"<member>{xml}</member>");
+            foreach (var param in member.Elements("param"))
+            {
+                var name = param.Attribute("name")?.Value;
+                if (name != null)
+                {
+                    parameters[name] = FormatDocumentation(param);
+                }
+            }
+
+            var summary = member.Element("summary");
+            return (summary != null ? FormatDocumentation(summary) : null, parameters);
+        }
+        catch
+        {
+            return (null, parameters);
+        }
+    }
+
+    private static string FormatDocumentation(XElement element)
+    {
+        var text = new StringBuilder();
+        foreach (var node in element.Nodes())
+        {
+            switch (node)
+            {
+                case XText textNode:
+                    text.Append(textNode.Value);
+                    break;
+                case XElement { Name.LocalName: "see" or "seealso" } see:
+                    // cref="M:Spectre.Console.Table.AddRow(System.String[])" -> AddRow; langword="null" -> null
+                    var reference = (see.Attribute("cref")?.Value ?? see.Attribute("langword")?.Value ?? see.Value).Split('(')[0];
+                    text.Append('`').Append(reference[(reference.LastIndexOfAny([':', '.']) + 1)..]).Append('`');
+                    break;
+                case XElement { Name.LocalName: "paramref" or "typeparamref" } paramRef:
+                    text.Append('`').Append(paramRef.Attribute("name")?.Value).Append('`');
+                    break;
+                case XElement { Name.LocalName: "c" } code:
+                    text.Append('`').Append(code.Value).Append('`');
+                    break;
+                case XElement child:
+                    text.Append(FormatDocumentation(child));
+                    break;
+            }
+        }
+
+        // Collapse the indentation and line breaks of the XML file
+        return string.Join(' ', text.ToString().Split((char[]?)null, StringSplitOptions.RemoveEmptyEntries));
+    }
+
     private string GetTextFromSection(QuickInfoSection section)
     {
         var parts = new List<string>();
@@ -201,9 +457,33 @@ public class CompletionItemData
     public int Kind { get; set; }
     public string? InsertText { get; set; }
     public string? Detail { get; set; }
+    public string? Documentation { get; set; }
     public string? SortText { get; set; }
 }
 
+public class SignatureHelpData
+{
+    public List<SignatureData> Signatures { get; set; } = [];
+    public int ActiveSignature { get; set; }
+    public int ActiveParameter { get; set; }
+}
+
+public class SignatureData
+{
+    public string Label { get; set; } = "";
+    public string? Documentation { get; set; }
+    public List<ParameterData> Parameters { get; set; } = [];
+    public int ActiveParameter { get; set; }
+}
+
+public class ParameterData
+{
+    // Offsets of the parameter within the signature label
+    public int Start { get; set; }
+    public int End { get; set; }
+    public string? Documentation { get; set; }
+}
+
 public class HoverData
 {
     public string Contents { get; set; } = "";
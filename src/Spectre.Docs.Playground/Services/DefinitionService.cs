@@ -0,0 +1,167 @@
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.FindSymbols;
+using Microsoft.CodeAnalysis.Text;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Finds where the symbol at a position is declared: in one of the user's files, or in a reference
+/// assembly, for which a read-only "metadata as source" document is generated.
+/// </summary>
+public class DefinitionService
+{
+    private readonly WorkspaceService _workspaceService;
+
+    public DefinitionService(WorkspaceService workspaceService)
+    {
+        _workspaceService = workspaceService;
+    }
+
+    public async Task<List<DefinitionData>> GetDefinitionsAsync(IReadOnlyList<SourceFile> files, string fileName, int lineNumber, int column)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return [];
+            }
+
+            // Convert line/column to absolute position
+            var sourceText = await document.GetTextAsync();
+            var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
+
+            if (position < 0 || position > sourceText.Length)
+            {
+                return [];
+            }
+
+            var semanticModel = await document.GetSemanticModelAsync();
+            if (semanticModel == null)
+            {
+                return [];
+            }
+
+            var symbol = await SymbolFinder.FindSymbolAtPositionAsync(semanticModel, position, document.Project.Solution.Workspace);
+            if (symbol == null)
+            {
+                return [];
+            }
+
+            // A call of an extension method, or a use of a generic type, refers to its declaration
+            symbol = (symbol as IMethodSymbol)?.ReducedFrom ?? symbol;
+            symbol = symbol.OriginalDefinition;
+
+            List<DefinitionData> result = [];
+            foreach (var location in symbol.Locations)
+            {
+                if (location.IsInSource && location.SourceTree != null)
+                {
+                    var definition = await GetSourceDefinitionAsync(document.Project.Solution, files, location);
+                    if (definition != null)
+                    {
+                        result.Add(definition);
+                    }
+                }
+            }
+
+            if (result.Count == 0 && symbol.Locations.Any(location => location.IsInMetadata))
+            {
+                var definition = GetMetadataDefinition(symbol);
+                if (definition != null)
+                {
+                    result.Add(definition);
+                }
+            }
+
+            return result;
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Definition error: {ex.Message}");
+            return [];
+        }
+    }
+
+    private static async Task<DefinitionData?> GetSourceDefinitionAsync(Solution solution, IReadOnlyList<SourceFile> files, Location location)
+    {
+        var document = solution.GetDocument(location.SourceTree);
+        if (document == null)
+        {
+            return null;
+        }
+
+        var span = location.GetLineSpan().Span;
+        var definition = CreateDefinition(span);
+
+        if (files.Any(file => file.Name == document.Name))
+        {
+            definition.FileName = document.Name;
+        }
+        else
+        {
+            // The workspace's own documents (global usings, the browser terminal) are shown read-only
+            var text = await document.GetTextAsync();
+            definition.Uri = $"{MetadataAsSource.UriScheme}:///Playground/{document.Name}";
+            definition.Title = document.Name;
+            definition.Text = text.ToString();
+        }
+
+        return definition;
+    }
+
+    private static DefinitionData? GetMetadataDefinition(ISymbol symbol)
+    {
+        // Namespaces, and symbols like parameters of metadata methods, have no document to show
+        var type = symbol as INamedTypeSymbol ?? symbol.ContainingType;
+        if (type == null)
+        {
+            return null;
+        }
+
+        var (text, span) = MetadataAsSource.Generate(symbol);
+        var definition = CreateDefinition(span);
+        definition.Uri = MetadataAsSource.GetUri(type);
+        definition.Title = GetTopLevelName(type);
+        definition.Text = text;
+        return definition;
+    }
+
+    private static string GetTopLevelName(INamedTypeSymbol type)
+    {
+        while (type.ContainingType != null)
+        {
+            type = type.ContainingType;
+        }
+
+        return type.Name;
+    }
+
+    private static DefinitionData CreateDefinition(LinePositionSpan span)
+    {
+        return new DefinitionData
+        {
+            StartLine = span.Start.Line + 1, // Convert to 1-based
+            StartColumn = span.Start.Character + 1,
+            EndLine = span.End.Line + 1,
+            EndColumn = span.End.Character + 1
+        };
+    }
+}
+
+/// <summary>
+/// A declaration to navigate to: either a user's file, or a read-only document with the given URI and text.
+/// </summary>
+public class DefinitionData
+{
+    public string? FileName { get; set; }
+    public string? Uri { get; set; }
+    public string? Title { get; set; }
+    public string? Text { get; set; }
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+}
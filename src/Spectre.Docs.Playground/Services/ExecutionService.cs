@@ -6,24 +6,106 @@ namespace Spectre.Docs.Playground.Services;
 
 public class ExecutionService
 {
+    /// <summary>
+    /// AppContext key under which the running program finds the mouse reader.
+    /// The compiled BrowserTerminal helper can't reference playground types, so the reader
+    /// is published as a delegate over BCL types: (action, button, x, y, modifiers) or null.
+    /// </summary>
+    public const string MouseReaderDataKey = "Spectre.Playground.TryReadMouse";
+
+    // Turns off every mouse tracking mode and bracketed paste, in case the program left them enabled
+    private const string ResetInputModes = "\e[?1000l\e[?1002l\e[?1003l\e[?1006l\e[?2004l";
+
+    // Plain attributes and a visible cursor, which a terminated program had no chance to restore
+    private const string ResetTerminalState = "\e[0m\e[?25h";
+
+    // How long a program running in this runtime gets to stop once the time limit cancels it;
+    // unlike the program worker, its thread can't be terminated
+    private static readonly TimeSpan InProcessStopTimeout = TimeSpan.FromSeconds(3);
+
     /// <summary>
     /// Execute code using the new SharedTerminalIO architecture.
+    /// The program runs in the program worker when the browser supports it, so it cannot block the page;
+    /// otherwise it runs on a background thread of this runtime.
+    /// The run is cancelled once it exceeds the time limit, or when the terminal trips an output limit.
+    /// </summary>
+    public async Task ExecuteAsync(byte[] assemblyBytes, SharedTerminalIO terminalIO, int cols, int rows, RunLimits limits)
+    {
+        SharedTerminalIO.SetOutputLimits(limits.MaxOutputBytes, limits.MaxLines);
+
+        var inWorker = await ProgramWorker.StartAsync();
+        var run = inWorker
+            ? ProgramWorker.RunAsync(assemblyBytes, terminalIO, cols, rows)
+            : RunInProcessAsync();
+
+        // Wait here rather than with a timer callback: Cancel calls into JS, which only works on this thread
+        using var timeoutCancellation = new CancellationTokenSource();
+        var timeout = Task.Delay(limits.Timeout, timeoutCancellation.Token);
+        var timedOut = await Task.WhenAny(run, timeout) == timeout;
+        if (timedOut)
+        {
+            terminalIO.Cancel();
+        }
+        else
+        {
+            timeoutCancellation.Cancel();
+        }
+
+        // The worker terminates a program that ignores cancellation; one on a thread of this runtime is left behind
+        var abandoned = timedOut && !inWorker && await Task.WhenAny(run, Task.Delay(InProcessStopTimeout)) != run;
+        var terminated = !abandoned && await run;
+
+        // The messages below come from the playground, not the program, so they bypass its output limits
+        SharedTerminalIO.EndProgramOutput();
+        if (timedOut && !abandoned)
+        {
+            terminalIO.WriteOutput($"\r\n\e[33mTime limit of {limits.Timeout.TotalSeconds:0.#} seconds reached; the program was stopped.\e[0m\r\n");
+        }
+        if (terminated)
+        {
+            terminalIO.WriteOutput(ResetInputModes);
+            terminalIO.WriteOutput(ResetTerminalState);
+            terminalIO.WriteOutput("\r\n\e[31mProgram was terminated: it did not stop after being cancelled.\e[0m\r\n");
+        }
+        if (abandoned)
+        {
+            System.Console.WriteLine("Program ignored cancellation, leaving it running in the background");
+            terminalIO.WriteOutput(ResetInputModes);
+            terminalIO.WriteOutput(ResetTerminalState);
+            terminalIO.WriteOutput($"\r\n\e[31mTime limit of {limits.Timeout.TotalSeconds:0.#} seconds reached, but the program did not stop; it keeps running in the background until the page is reloaded.\e[0m\r\n");
+        }
+
+        async Task<bool> RunInProcessAsync()
+        {
+            await ExecuteInProcessAsync(assemblyBytes, terminalIO, cols, rows);
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Execute code on a background thread of this runtime.
     /// This completely bypasses Blazor JS interop for terminal I/O.
     /// </summary>
-    public async Task ExecuteAsync(byte[] assemblyBytes, SharedTerminalIO terminalIO, int cols, int rows)
+    public async Task ExecuteInProcessAsync(byte[] assemblyBytes, SharedTerminalIO terminalIO, int cols, int rows)
     {
         // Use the SharedTerminalIO's cancellation token (cancelled by Stop button or Ctrl+C)
         var cancellationToken = terminalIO.CancellationToken;
 
+        // Seed the size; later resizes arrive through the control ring buffer
+        terminalIO.SetSize(cols, rows);
+
         // Create a bridge that uses the shared memory ring buffers
         var bridge = new SharedTerminalBridge(terminalIO, cancellationToken);
 
-        // Create a custom IAnsiConsole that writes to the bridge with actual terminal size
-        var console = new TerminalConsole(bridge, cols, rows);
+        // Create a custom IAnsiConsole that writes to the bridge and follows the terminal size
+        var console = new TerminalConsole(bridge);
 
         // Set the console as the default for Spectre.Console
         SetDefaultConsole(console);
 
+        // Let BrowserTerminal read mouse events from the input ring buffer
+        AppContext.SetData(MouseReaderDataKey, CreateMouseReader(bridge));
+
         try
         {
             // Execute on a background thread
@@ -39,6 +121,10 @@ public class ExecutionService
             // Mark execution as complete
             bridge.Complete();
 
+            // Stop mouse reporting so clicks select text again, and deliver pastes as plain text
+            AppContext.SetData(MouseReaderDataKey, null);
+            terminalIO.WriteOutput(ResetInputModes);
+
             // Reset the default console
             ResetDefaultConsole();
         }
@@ -101,6 +187,18 @@ public class ExecutionService
         }
     }
 
+    private static Func<(int Action, int Button, int X, int Y, int Modifiers)?> CreateMouseReader(ITerminalBridge bridge)
+    {
+        return () =>
+        {
+            if (!bridge.TryReadMouse(out var e))
+                return null;
+
+            var modifiers = (e.Shift ? 1 : 0) | (e.Alt ? 2 : 0) | (e.Ctrl ? 4 : 0);
+            return ((int)e.Action, (int)e.Button, e.X, e.Y, modifiers);
+        };
+    }
+
     private static void SetDefaultConsole(IAnsiConsole console)
     {
         // Use reflection to set the internal console
@@ -0,0 +1,148 @@
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Formatting;
+using Microsoft.CodeAnalysis.Text;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Formats the user's code with Roslyn's formatter, returning the edits for the editor to apply.
+/// </summary>
+public class FormattingService
+{
+    private readonly WorkspaceService _workspaceService;
+
+    public FormattingService(WorkspaceService workspaceService)
+    {
+        _workspaceService = workspaceService;
+    }
+
+    /// <summary>
+    /// Formats the code between two 1-based positions; pass the whole file's range to format the document.
+    /// </summary>
+    public async Task<List<TextEditData>> FormatAsync(IReadOnlyList<SourceFile> files, string fileName,
+        int startLine, int startColumn, int endLine, int endColumn)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return [];
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var start = WorkspaceService.GetPosition(sourceText, startLine, startColumn);
+            var end = WorkspaceService.GetPosition(sourceText, endLine, endColumn);
+
+            if (start < 0 || end < start || end > sourceText.Length)
+            {
+                return [];
+            }
+
+            return await GetEditsAsync(document, sourceText, TextSpan.FromBounds(start, end));
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Formatting error: {ex.Message}");
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Formats the statement ended by a typed ';', or the block or declaration closed by a typed '}'.
+    /// The position is the 1-based position just after the typed character.
+    /// </summary>
+    public async Task<List<TextEditData>> FormatOnTypeAsync(IReadOnlyList<SourceFile> files, string fileName,
+        int lineNumber, int column, string character)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return [];
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
+
+            if (position <= 0 || position > sourceText.Length)
+            {
+                return [];
+            }
+
+            var root = await document.GetSyntaxRootAsync();
+            if (root == null)
+            {
+                return [];
+            }
+
+            var token = root.FindToken(position - 1);
+            var node = character switch
+            {
+                ";" when token.IsKind(SyntaxKind.SemicolonToken) => token.Parent?
+                    .AncestorsAndSelf()
+                    .FirstOrDefault(n => n is StatementSyntax or MemberDeclarationSyntax or UsingDirectiveSyntax),
+                "}" when token.IsKind(SyntaxKind.CloseBraceToken) => token.Parent,
+                _ => null
+            };
+
+            // Nothing to format when the character is inside a string or comment, or ends nothing
+            if (node == null || token.Span.End != position)
+            {
+                return [];
+            }
+
+            // Start at the line the node starts on, so its indentation is fixed too
+            var start = sourceText.Lines.GetLineFromPosition(node.SpanStart).Start;
+            return await GetEditsAsync(document, sourceText, TextSpan.FromBounds(start, position));
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Formatting error: {ex.Message}");
+            return [];
+        }
+    }
+
+    private static async Task<List<TextEditData>> GetEditsAsync(Document document, SourceText sourceText, TextSpan span)
+    {
+        var formatted = await Formatter.FormatAsync(document, span);
+        var changes = await formatted.GetTextChangesAsync(document);
+
+        return changes.Select(change => CreateEdit(sourceText, change)).ToList();
+    }
+
+    /// <summary>
+    /// Converts a change to the given text to an edit with 1-based positions.
+    /// </summary>
+    public static TextEditData CreateEdit(SourceText sourceText, TextChange change)
+    {
+        var lineSpan = sourceText.Lines.GetLinePositionSpan(change.Span);
+        return new TextEditData
+        {
+            StartLine = lineSpan.Start.Line + 1, // Convert to 1-based
+            StartColumn = lineSpan.Start.Character + 1,
+            EndLine = lineSpan.End.Line + 1,
+            EndColumn = lineSpan.End.Character + 1,
+            Text = change.NewText ?? ""
+        };
+    }
+}
+
+/// <summary>
+/// A replacement of the text between two 1-based positions.
+/// </summary>
+public class TextEditData
+{
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+    public string Text { get; set; } = "";
+}
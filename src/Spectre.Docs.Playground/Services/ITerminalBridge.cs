@@ -30,6 +30,16 @@ public interface ITerminalBridge
     /// </summary>
     bool IsInputAvailable();
 
+    /// <summary>
+    /// Try to read a mouse event without blocking.
+    /// </summary>
+    bool TryReadMouse(out MouseEvent mouseEvent);
+
+    /// <summary>
+    /// Get the current terminal size in columns and rows.
+    /// </summary>
+    (int Width, int Height) GetSize();
+
     /// <summary>
     /// Signal that execution is complete.
     /// </summary>
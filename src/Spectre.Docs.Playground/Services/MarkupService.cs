@@ -0,0 +1,635 @@
+using System.Collections.Immutable;
+using System.Reflection;
+using System.Text;
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.CSharp;
+using Microsoft.CodeAnalysis.CSharp.Syntax;
+using Microsoft.CodeAnalysis.Operations;
+using Microsoft.CodeAnalysis.Text;
+using Spectre.Console;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Understands the Spectre markup (<c>[bold red]...[/]</c>) in string literals passed to Spectre.Console:
+/// completes colours, styles and emoji shortcodes, finds the colours used, and checks the tags.
+/// Names and styles come from the Spectre.Console assembly the playground runs.
+/// </summary>
+public class MarkupService
+{
+    // Monaco CompletionItemKind
+    private const int ColorKind = 19;
+    private const int KeywordKind = 17;
+    private const int ValueKind = 13;
+
+    // Stands for an interpolation hole in a literal's text
+    private const char Hole = '\u0001';
+
+    // Spectre.Console methods and constructors whose string parameters are plain text or a style, not markup
+    private static readonly HashSet<string> PlainTextMembers =
+    [
+        "Write", "WriteLine", "Escape", "EscapeInterpolated", "Remove", "RemoveMarkup", "Replace", "Remap",
+        "Parse", "TryParse", "FromHex", "TryFromHex", "Text", "FigletText", "TextPath"
+    ];
+
+    private static readonly Lazy<IReadOnlyList<(string Name, Color Color)>> Colors = new(() =>
+        Enumerable.Range(0, 256)
+            .Select(number => Color.FromInt32(number))
+            .Select(color => (Name: color.ToMarkup(), Color: color))
+            .Where(x => !x.Name.StartsWith('#'))
+            .DistinctBy(x => x.Name)
+            .OrderBy(x => x.Name, StringComparer.Ordinal)
+            .ToList());
+
+    private static readonly Lazy<IReadOnlyList<string>> Decorations = new(() =>
+        Enum.GetValues<Decoration>()
+            .Where(decoration => decoration != Decoration.None)
+            .Select(decoration => decoration.ToString().ToLowerInvariant())
+            .ToList());
+
+    // Emoji shortcodes from the names in Emoji.Known; a name that Emoji.Replace
+    // doesn't recognise as a shortcode is left out
+    private static readonly Lazy<IReadOnlyList<(string Shortcode, string Emoji)>> Emojis = new(() =>
+        typeof(Emoji.Known)
+            .GetFields(BindingFlags.Public | BindingFlags.Static)
+            .Where(field => field.FieldType == typeof(string))
+            .Select(field => (Shortcode: $":{ToSnakeCase(field.Name)}:", Emoji: (string)field.GetValue(null)!))
+            .Where(x => Emoji.Replace(x.Shortcode) != x.Shortcode)
+            .OrderBy(x => x.Shortcode, StringComparer.Ordinal)
+            .ToList());
+
+    private readonly WorkspaceService _workspaceService;
+
+    public MarkupService(WorkspaceService workspaceService)
+    {
+        _workspaceService = workspaceService;
+    }
+
+    /// <summary>
+    /// Finds the colours named in the file's markup tags, and the problems Spectre would throw on:
+    /// unbalanced or malformed tags, unknown colours and styles.
+    /// </summary>
+    public async Task<MarkupAnalysisData> AnalyzeAsync(IReadOnlyList<SourceFile> files, string fileName)
+    {
+        var result = new MarkupAnalysisData();
+
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return result;
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var root = await document.GetSyntaxRootAsync();
+            var semanticModel = await document.GetSemanticModelAsync();
+            if (root == null || semanticModel == null)
+            {
+                return result;
+            }
+
+            Analyze(root, semanticModel, sourceText, result);
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Markup analysis error: {ex.Message}");
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Analyzes the markup of every file, like <see cref="AnalyzeAsync"/>, against a single compilation
+    /// of the project. Returns the analysis of each file by its name.
+    /// </summary>
+    public async Task<Dictionary<string, MarkupAnalysisData>> AnalyzeAllAsync(IReadOnlyList<SourceFile> files, CancellationToken cancellationToken = default)
+    {
+        var results = files.ToDictionary(file => file.Name, _ => new MarkupAnalysisData());
+
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var compilation = _workspaceService.CreateCompilation(files);
+
+            // Off the UI thread, like the diagnostics; binding every literal is the expensive part
+            await Task.Run(() =>
+            {
+                foreach (var tree in compilation.SyntaxTrees)
+                {
+                    cancellationToken.ThrowIfCancellationRequested();
+                    if (results.TryGetValue(tree.FilePath, out var result))
+                    {
+                        Analyze(tree.GetRoot(cancellationToken), compilation.GetSemanticModel(tree), tree.GetText(cancellationToken), result);
+                    }
+                }
+            }, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            System.Console.WriteLine($"Markup analysis error: {ex.Message}");
+        }
+
+        return results;
+    }
+
+    /// <summary>
+    /// Completes colours and styles inside a markup tag, and emoji shortcodes after a ':' in markup text.
+    /// Returns null outside markup, so only C# completions are shown there.
+    /// </summary>
+    public async Task<MarkupCompletionData?> GetCompletionsAsync(IReadOnlyList<SourceFile> files, string fileName, int lineNumber, int column)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return null;
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var position = WorkspaceService.GetPosition(sourceText, lineNumber, column);
+
+            if (position <= 0 || position > sourceText.Length)
+            {
+                return null;
+            }
+
+            var root = await document.GetSyntaxRootAsync();
+            var semanticModel = await document.GetSemanticModelAsync();
+            if (root == null || semanticModel == null)
+            {
+                return null;
+            }
+
+            // The literal the cursor is in, not in one of its interpolations
+            var token = root.FindToken(position - 1);
+            var literal = token.Parent switch
+            {
+                LiteralExpressionSyntax { RawKind: (int)SyntaxKind.StringLiteralExpression } expression => expression,
+                InterpolatedStringTextSyntax text => text.Parent as ExpressionSyntax,
+                InterpolatedStringExpressionSyntax expression when token != expression.StringStartToken => expression,
+                _ => null
+            };
+
+            if (literal == null || !IsMarkupArgument(semanticModel, literal))
+            {
+                return null;
+            }
+
+            var markup = GetMarkupText(literal);
+            var index = markup.GetIndex(position);
+            if (index < 0)
+            {
+                return null;
+            }
+
+            var text = markup.Text;
+            List<CompletionItemData> items;
+            int start;
+
+            var open = text.LastIndexOf('[', Math.Max(index - 1, 0));
+            var close = text.LastIndexOf(']', Math.Max(index - 1, 0));
+            if (index > 0 && open >= 0 && open > close && (open == 0 || text[open - 1] != '['))
+            {
+                // In a tag: the word being typed, after the '[' or a space
+                start = Math.Max(open, text.LastIndexOf(' ', index - 1)) + 1;
+                var words = text[(open + 1)..start].Split(' ', StringSplitOptions.RemoveEmptyEntries);
+                if (open + 1 < text.Length && text[open + 1] == '/' || text[start..index].Contains(Hole))
+                {
+                    return null;
+                }
+
+                // After "on" comes the background colour
+                items = words.LastOrDefault() == "on" ? GetColorItems() : GetStyleItems();
+            }
+            else
+            {
+                // An emoji shortcode: ':' and the name typed so far
+                start = index;
+                while (start > 0 && IsShortcodeCharacter(text[start - 1]))
+                {
+                    start--;
+                }
+
+                if (start == 0 || text[start - 1] != ':')
+                {
+                    return null;
+                }
+
+                start--;
+                items = Emojis.Value
+                    .Select(emoji => new CompletionItemData
+                    {
+                        Label = emoji.Shortcode,
+                        Kind = ValueKind,
+                        InsertText = emoji.Shortcode,
+                        Detail = emoji.Emoji
+                    })
+                    .ToList();
+            }
+
+            var startPosition = sourceText.Lines.GetLinePosition(markup.Positions[start]);
+            var endPosition = sourceText.Lines.GetLinePosition(position);
+            return new MarkupCompletionData
+            {
+                Items = items,
+                StartLine = startPosition.Line + 1, // Convert to 1-based
+                StartColumn = startPosition.Character + 1,
+                EndLine = endPosition.Line + 1,
+                EndColumn = endPosition.Character + 1
+            };
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Markup completion error: {ex.Message}");
+            return null;
+        }
+    }
+
+    private static List<CompletionItemData> GetStyleItems()
+    {
+        List<CompletionItemData> items =
+        [
+            .. Decorations.Value.Select(decoration => new CompletionItemData
+            {
+                Label = decoration,
+                Kind = KeywordKind,
+                InsertText = decoration,
+                Detail = "Decoration",
+                SortText = "0" + decoration
+            }),
+            new CompletionItemData { Label = "on", Kind = KeywordKind, InsertText = "on ", Detail = "Background colour follows", SortText = "1on" },
+            new CompletionItemData { Label = "link", Kind = KeywordKind, InsertText = "link=", Detail = "Hyperlink", SortText = "1link" },
+            new CompletionItemData { Label = "default", Kind = KeywordKind, InsertText = "default", Detail = "The terminal's default colour", SortText = "1default" }
+        ];
+        items.AddRange(GetColorItems());
+        return items;
+    }
+
+    private static List<CompletionItemData> GetColorItems()
+    {
+        // The hex value as the documentation makes Monaco show a swatch
+        return Colors.Value
+            .Select(color => new CompletionItemData
+            {
+                Label = color.Name,
+                Kind = ColorKind,
+                InsertText = color.Name,
+                Detail = $"#{color.Color.ToHex()}",
+                Documentation = $"#{color.Color.ToHex()}",
+                SortText = "2" + color.Name
+            })
+            .ToList();
+    }
+
+    /// <summary>
+    /// Whether a literal is passed as markup: to a string parameter of a Spectre.Console method
+    /// or constructor, other than those taking plain text or a style.
+    /// </summary>
+    private static bool IsMarkupArgument(SemanticModel semanticModel, ExpressionSyntax literal)
+    {
+        var argument = literal.Parent as ArgumentSyntax;
+        if (argument?.Parent?.Parent is not { } call)
+        {
+            return false;
+        }
+
+        var (method, arguments) = semanticModel.GetOperation(call) switch
+        {
+            IInvocationOperation invocation => (invocation.TargetMethod, invocation.Arguments),
+            IObjectCreationOperation { Constructor: { } constructor } creation => (constructor, creation.Arguments),
+            _ => ((IMethodSymbol?)null, ImmutableArray<IArgumentOperation>.Empty)
+        };
+
+        if (method == null)
+        {
+            return false;
+        }
+
+        method = method.ReducedFrom ?? method;
+        var name = method.MethodKind == MethodKind.Constructor ? method.ContainingType.Name : method.Name;
+        if (method.ContainingAssembly?.Name != "Spectre.Console" || PlainTextMembers.Contains(name))
+        {
+            return false;
+        }
+
+        // The literal's own argument, or one of the values of a params array
+        var parameter = arguments.FirstOrDefault(a =>
+            a.Syntax == argument ||
+            a.Value is IArrayCreationOperation { IsImplicit: true, Initializer: { } initializer } &&
+            initializer.ElementValues.Any(value => value.Syntax == literal))?.Parameter;
+
+        var type = parameter?.Type is IArrayTypeSymbol { } array && parameter.IsParams ? array.ElementType : parameter?.Type;
+        return type?.SpecialType == SpecialType.System_String || type?.Name == nameof(FormattableString);
+    }
+
+    /// <summary>
+    /// The text of a literal between its quotes as written, each character with its position in
+    /// the source. Escape sequences are left as they are: they don't change where tags are.
+    /// </summary>
+    private static MarkupText GetMarkupText(ExpressionSyntax literal)
+    {
+        var text = new StringBuilder();
+        List<int> positions = [];
+
+        void Append(int start, string value)
+        {
+            text.Append(value);
+            positions.AddRange(Enumerable.Range(start, value.Length));
+        }
+
+        if (literal is InterpolatedStringExpressionSyntax interpolated)
+        {
+            foreach (var content in interpolated.Contents)
+            {
+                if (content is InterpolatedStringTextSyntax part)
+                {
+                    Append(part.SpanStart, part.TextToken.Text);
+                }
+                else
+                {
+                    text.Append(Hole);
+                    positions.Add(content.SpanStart);
+                }
+            }
+        }
+        else
+        {
+            var token = ((LiteralExpressionSyntax)literal).Token;
+            var value = token.Text;
+
+            // "...", @"..." or """..."""
+            var (prefix, suffix) = token.Kind() switch
+            {
+                SyntaxKind.SingleLineRawStringLiteralToken or SyntaxKind.MultiLineRawStringLiteralToken =>
+                    (value.TakeWhile(c => c == '"').Count(), value.TakeWhile(c => c == '"').Count()),
+                _ when value.StartsWith('@') => (2, 1),
+                _ => (1, 1)
+            };
+
+            // A literal still being typed has no closing quote yet
+            if (value.Length < prefix + suffix || !value.EndsWith('"'))
+            {
+                suffix = 0;
+            }
+
+            prefix = Math.Min(prefix, value.Length);
+            Append(token.SpanStart + prefix, value[prefix..^suffix]);
+        }
+
+        return new MarkupText(text.ToString(), positions);
+    }
+
+    private static void Analyze(SyntaxNode root, SemanticModel semanticModel, SourceText sourceText, MarkupAnalysisData result)
+    {
+        var literals = root.DescendantNodes()
+            .Where(node => node is LiteralExpressionSyntax { RawKind: (int)SyntaxKind.StringLiteralExpression } or InterpolatedStringExpressionSyntax)
+            .Cast<ExpressionSyntax>()
+            .Where(literal => IsMarkupArgument(semanticModel, literal));
+
+        foreach (var literal in literals)
+        {
+            var markup = GetMarkupText(literal);
+            Analyze(markup, sourceText, result);
+        }
+    }
+
+    private static void Analyze(MarkupText markup, SourceText sourceText, MarkupAnalysisData result)
+    {
+        var text = markup.Text;
+        var open = new Stack<(int Start, int End)>();
+
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (text[i] == ']')
+            {
+                if (i + 1 < text.Length && text[i + 1] == ']')
+                {
+                    i++;
+                }
+                else
+                {
+                    AddWarning(result, markup, sourceText, i, i + 1, "Unescaped ']' in markup; use ']]' to write ']'");
+                }
+                continue;
+            }
+
+            if (text[i] != '[')
+            {
+                continue;
+            }
+
+            if (i + 1 < text.Length && text[i + 1] == '[')
+            {
+                i++;
+                continue;
+            }
+
+            var end = text.IndexOf(']', i + 1);
+            if (end < 0)
+            {
+                AddWarning(result, markup, sourceText, i, i + 1, "Markup tag is not closed with ']'; use '[[' to write '['");
+                return;
+            }
+
+            var content = text[(i + 1)..end];
+            if (content.StartsWith('/'))
+            {
+                if (content.Trim() != "/" && !content.Contains(Hole))
+                {
+                    AddWarning(result, markup, sourceText, i, end + 1, "Close tags with [/]; they close the last tag opened");
+                }
+
+                if (!open.TryPop(out _))
+                {
+                    AddWarning(result, markup, sourceText, i, end + 1, "[/] has no tag to close");
+                }
+            }
+            else
+            {
+                open.Push((i, end + 1));
+                if (!content.Contains(Hole))
+                {
+                    AnalyzeTag(markup, sourceText, result, i + 1, content);
+                }
+            }
+
+            i = end;
+        }
+
+        foreach (var (start, end) in open)
+        {
+            AddWarning(result, markup, sourceText, start, end, $"{text[start..end]} is never closed with [/]");
+        }
+    }
+
+    /// <summary>
+    /// Checks a tag's style with Spectre.Console's own parser, and records the colours in it.
+    /// </summary>
+    private static void AnalyzeTag(MarkupText markup, SourceText sourceText, MarkupAnalysisData result, int start, string content)
+    {
+        if (string.IsNullOrWhiteSpace(content))
+        {
+            AddWarning(result, markup, sourceText, start - 1, start + content.Length + 1, "Empty markup tag");
+            return;
+        }
+
+        var valid = Style.TryParse(content, out _);
+        var reported = false;
+
+        var offset = 0;
+        foreach (var word in content.Split(' '))
+        {
+            var wordStart = start + offset;
+            offset += word.Length + 1;
+            if (word.Length == 0 || word == "on")
+            {
+                continue;
+            }
+
+            if (!Style.TryParse(word, out var style) || style == null)
+            {
+                if (!valid && !reported)
+                {
+                    AddWarning(result, markup, sourceText, wordStart, wordStart + word.Length, $"Unknown colour or style '{word}'");
+                    reported = true;
+                }
+                continue;
+            }
+
+            if (style.Foreground != Color.Default)
+            {
+                var span = sourceText.Lines.GetLinePositionSpan(markup.GetSpan(wordStart, wordStart + word.Length));
+                result.Colors.Add(new MarkupColorData
+                {
+                    StartLine = span.Start.Line + 1, // Convert to 1-based
+                    StartColumn = span.Start.Character + 1,
+                    EndLine = span.End.Line + 1,
+                    EndColumn = span.End.Character + 1,
+                    Red = style.Foreground.R,
+                    Green = style.Foreground.G,
+                    Blue = style.Foreground.B
+                });
+            }
+        }
+
+        if (!valid && !reported)
+        {
+            AddWarning(result, markup, sourceText, start, start + content.Length, $"'{content}' is not a valid style");
+        }
+    }
+
+    private static void AddWarning(MarkupAnalysisData result, MarkupText markup, SourceText sourceText, int start, int end, string message)
+    {
+        var span = sourceText.Lines.GetLinePositionSpan(markup.GetSpan(start, end));
+        result.Warnings.Add(new MarkupWarningData
+        {
+            Message = message,
+            StartLine = span.Start.Line + 1, // Convert to 1-based
+            StartColumn = span.Start.Character + 1,
+            EndLine = span.End.Line + 1,
+            EndColumn = span.End.Character + 1
+        });
+    }
+
+    private static bool IsShortcodeCharacter(char c)
+    {
+        return char.IsAsciiLetterOrDigit(c) || c is '_' or '-' or '+';
+    }
+
+    private static string ToSnakeCase(string name)
+    {
+        // GrinningFace -> grinning_face, Keycap1 -> keycap_1
+        var result = new StringBuilder();
+        for (var i = 0; i < name.Length; i++)
+        {
+            var c = name[i];
+            if (i > 0 && (char.IsUpper(c) || char.IsDigit(c) && !char.IsDigit(name[i - 1])))
+            {
+                result.Append('_');
+            }
+            result.Append(char.ToLowerInvariant(c));
+        }
+        return result.ToString();
+    }
+
+    /// <summary>
+    /// A literal's text, and the source position of each of its characters.
+    /// </summary>
+    private sealed record MarkupText(string Text, List<int> Positions)
+    {
+        /// <summary>
+        /// The index in the text of a source position, or -1 if it is not within the text.
+        /// </summary>
+        public int GetIndex(int position)
+        {
+            if (Positions.Count == 0)
+            {
+                return -1;
+            }
+
+            for (var i = 0; i < Positions.Count; i++)
+            {
+                if (Positions[i] == position)
+                {
+                    return i;
+                }
+            }
+
+            // Just after the last character, before the closing quote
+            return Positions[^1] + 1 == position && Text[^1] != Hole ? Positions.Count : -1;
+        }
+
+        public TextSpan GetSpan(int start, int end)
+        {
+            return TextSpan.FromBounds(Positions[start], Positions[end - 1] + 1);
+        }
+    }
+}
+
+/// <summary>
+/// The colours and problems found in a file's markup.
+/// </summary>
+public class MarkupAnalysisData
+{
+    public List<MarkupColorData> Colors { get; set; } = [];
+    public List<MarkupWarningData> Warnings { get; set; } = [];
+}
+
+public class MarkupColorData
+{
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+    public int Red { get; set; }
+    public int Green { get; set; }
+    public int Blue { get; set; }
+}
+
+public class MarkupWarningData
+{
+    public string Message { get; set; } = "";
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+}
+
+/// <summary>
+/// Markup completions and the range they replace: the word or shortcode typed so far.
+/// </summary>
+public class MarkupCompletionData
+{
+    public List<CompletionItemData> Items { get; set; } = [];
+    public int StartLine { get; set; }
+    public int StartColumn { get; set; }
+    public int EndLine { get; set; }
+    public int EndColumn { get; set; }
+}
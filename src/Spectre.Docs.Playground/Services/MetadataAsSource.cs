@@ -0,0 +1,307 @@
+using System.Text;
+using Microsoft.CodeAnalysis;
+using Microsoft.CodeAnalysis.Text;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Generates read-only C# declarations ("metadata as source") for a type from a reference assembly:
+/// its public and protected members with their XML documentation, without bodies.
+/// </summary>
+public static class MetadataAsSource
+{
+    /// <summary>
+    /// URI scheme of the generated documents in the editor.
+    /// </summary>
+    public const string UriScheme = "metadata";
+
+    private static readonly SymbolDisplayFormat MemberFormat = new(
+        globalNamespaceStyle: SymbolDisplayGlobalNamespaceStyle.Omitted,
+        typeQualificationStyle: SymbolDisplayTypeQualificationStyle.NameAndContainingTypes,
+        genericsOptions: SymbolDisplayGenericsOptions.IncludeTypeParameters |
+                         SymbolDisplayGenericsOptions.IncludeTypeConstraints |
+                         SymbolDisplayGenericsOptions.IncludeVariance,
+        memberOptions: SymbolDisplayMemberOptions.IncludeAccessibility |
+                       SymbolDisplayMemberOptions.IncludeModifiers |
+                       SymbolDisplayMemberOptions.IncludeType |
+                       SymbolDisplayMemberOptions.IncludeParameters |
+                       SymbolDisplayMemberOptions.IncludeExplicitInterface |
+                       SymbolDisplayMemberOptions.IncludeRef |
+                       SymbolDisplayMemberOptions.IncludeConstantValue,
+        parameterOptions: SymbolDisplayParameterOptions.IncludeType |
+                          SymbolDisplayParameterOptions.IncludeName |
+                          SymbolDisplayParameterOptions.IncludeDefaultValue |
+                          SymbolDisplayParameterOptions.IncludeParamsRefOut |
+                          SymbolDisplayParameterOptions.IncludeExtensionThis,
+        propertyStyle: SymbolDisplayPropertyStyle.ShowReadWriteDescriptor,
+        miscellaneousOptions: SymbolDisplayMiscellaneousOptions.UseSpecialTypes |
+                              SymbolDisplayMiscellaneousOptions.EscapeKeywordIdentifiers |
+                              SymbolDisplayMiscellaneousOptions.IncludeNullableReferenceTypeModifier);
+
+    private static readonly SymbolDisplayFormat TypeNameFormat = MemberFormat
+        .WithMemberOptions(SymbolDisplayMemberOptions.None)
+        .WithGenericsOptions(SymbolDisplayGenericsOptions.IncludeTypeParameters | SymbolDisplayGenericsOptions.IncludeVariance)
+        .WithTypeQualificationStyle(SymbolDisplayTypeQualificationStyle.NameOnly);
+
+    /// <summary>
+    /// The editor URI of the document for a type, e.g. metadata:///Spectre.Console/Spectre.Console.Table.cs
+    /// </summary>
+    public static string GetUri(INamedTypeSymbol type)
+    {
+        return $"{UriScheme}:///{type.ContainingAssembly.Name}/{Uri.EscapeDataString(GetTopLevelType(type).ToDisplayString())}.cs";
+    }
+
+    /// <summary>
+    /// Generates the document for the top-level type declaring a symbol.
+    /// Returns the text and the span of the symbol's name in it (the type's name if the symbol is not listed).
+    /// </summary>
+    public static (string Text, LinePositionSpan Span) Generate(ISymbol symbol)
+    {
+        var type = symbol as INamedTypeSymbol ?? symbol.ContainingType;
+        var topLevel = GetTopLevelType(type);
+
+        var writer = new Writer(symbol);
+        writer.Line($"#region Assembly {topLevel.ContainingAssembly.Identity}");
+        writer.Line("// Generated from metadata and XML documentation; member bodies are not available");
+        writer.Line("#endregion");
+        writer.Line();
+
+        if (!topLevel.ContainingNamespace.IsGlobalNamespace)
+        {
+            writer.Line($"namespace {topLevel.ContainingNamespace.ToDisplayString()};");
+            writer.Line();
+        }
+
+        WriteType(writer, topLevel, 0);
+
+        return (writer.ToString(), writer.TargetSpan ?? new LinePositionSpan(default, default));
+    }
+
+    private static INamedTypeSymbol GetTopLevelType(INamedTypeSymbol type)
+    {
+        while (type.ContainingType != null)
+        {
+            type = type.ContainingType;
+        }
+
+        return type.OriginalDefinition;
+    }
+
+    private static void WriteType(Writer writer, INamedTypeSymbol type, int indent)
+    {
+        WriteDocumentation(writer, type, indent);
+
+        if (type.TypeKind == TypeKind.Delegate && type.DelegateInvokeMethod is { } invoke)
+        {
+            var signature = invoke.ToDisplayString(MemberFormat.WithMemberOptions(
+                SymbolDisplayMemberOptions.IncludeType | SymbolDisplayMemberOptions.IncludeParameters | SymbolDisplayMemberOptions.IncludeRef));
+
+            // "void Invoke(int value)" becomes "public delegate void Name(int value);"
+            var split = signature.IndexOf($" {invoke.Name}(", StringComparison.Ordinal);
+            var returnType = split >= 0 ? signature[..split] : invoke.ReturnType.ToDisplayString(MemberFormat);
+            var parameters = split >= 0 ? signature[(split + invoke.Name.Length + 1)..] : "()";
+            writer.Declaration(indent, $"{GetAccessibility(type)} delegate {returnType} ", type, parameters + ";");
+            return;
+        }
+
+        var header = new StringBuilder(GetAccessibility(type));
+        if (type.TypeKind == TypeKind.Class)
+        {
+            if (type.IsStatic) header.Append(" static");
+            else if (type.IsAbstract) header.Append(" abstract");
+            else if (type.IsSealed) header.Append(" sealed");
+        }
+        else if (type.TypeKind == TypeKind.Struct && type.IsReadOnly)
+        {
+            header.Append(" readonly");
+        }
+
+        header.Append(type.TypeKind switch
+        {
+            TypeKind.Interface => " interface ",
+            TypeKind.Enum => " enum ",
+            TypeKind.Struct => type.IsRecord ? " record struct " : " struct ",
+            _ => type.IsRecord ? " record " : " class "
+        });
+
+        var bases = new List<string>();
+        if (type.TypeKind == TypeKind.Enum && type.EnumUnderlyingType is { SpecialType: not SpecialType.System_Int32 } underlying)
+        {
+            bases.Add(underlying.ToDisplayString(MemberFormat));
+        }
+        else if (type.BaseType is { SpecialType: not (SpecialType.System_Object or SpecialType.System_ValueType) } baseType &&
+                 type.TypeKind == TypeKind.Class)
+        {
+            bases.Add(baseType.ToDisplayString(MemberFormat));
+        }
+        bases.AddRange(type.Interfaces.Select(i => i.ToDisplayString(MemberFormat)));
+
+        var suffix = bases.Count > 0 ? " : " + string.Join(", ", bases) : "";
+        writer.Declaration(indent, header.ToString(), type, suffix);
+        writer.Line(indent, "{");
+
+        var first = true;
+        foreach (var member in GetVisibleMembers(type))
+        {
+            if (!first)
+            {
+                writer.Line();
+            }
+            first = false;
+
+            if (member is INamedTypeSymbol nested)
+            {
+                WriteType(writer, nested, indent + 1);
+            }
+            else
+            {
+                WriteDocumentation(writer, member, indent + 1);
+                WriteMember(writer, member, indent + 1);
+            }
+        }
+
+        writer.Line(indent, "}");
+    }
+
+    private static void WriteMember(Writer writer, ISymbol member, int indent)
+    {
+        if (member is IFieldSymbol { ContainingType.TypeKind: TypeKind.Enum } enumMember)
+        {
+            writer.Declaration(indent, "", member, $" = {enumMember.ConstantValue},");
+            return;
+        }
+
+        var display = member.ToDisplayString(MemberFormat);
+        var terminator = member is IPropertySymbol ? "" : ";";
+
+        // Find the name in the display string, so the definition can point at it
+        var name = member is IMethodSymbol { MethodKind: MethodKind.Constructor } ? member.ContainingType.Name : member.Name;
+        var index = member.IsIndexer() ? display.IndexOf("this[", StringComparison.Ordinal) : FindName(display, name);
+        if (index < 0)
+        {
+            writer.Line(indent, display + terminator);
+            return;
+        }
+
+        var length = member.IsIndexer() ? 4 : name.Length;
+        writer.Declaration(indent, display[..index], member, display[(index + length)..] + terminator, display.Substring(index, length));
+    }
+
+    private static int FindName(string display, string name)
+    {
+        // The name is followed by its parameter list, type parameters, accessors or constant value
+        foreach (var follower in new[] { "(", "<", " {", " =" })
+        {
+            var index = display.IndexOf(name + follower, StringComparison.Ordinal);
+            if (index >= 0)
+            {
+                return index;
+            }
+        }
+
+        return display.EndsWith(" " + name, StringComparison.Ordinal) ? display.Length - name.Length : -1;
+    }
+
+    private static bool IsIndexer(this ISymbol member)
+    {
+        return member is IPropertySymbol { IsIndexer: true };
+    }
+
+    private static IEnumerable<ISymbol> GetVisibleMembers(INamedTypeSymbol type)
+    {
+        return type.GetMembers()
+            .Where(member => !member.IsImplicitlyDeclared && member.CanBeReferencedByName || member is IMethodSymbol { MethodKind: MethodKind.Constructor, IsImplicitlyDeclared: false })
+            .Where(member => member.DeclaredAccessibility is Accessibility.Public or Accessibility.Protected or Accessibility.ProtectedOrInternal ||
+                             type.TypeKind == TypeKind.Interface)
+            .Where(member => member is not IMethodSymbol method ||
+                             method.MethodKind is MethodKind.Ordinary or MethodKind.Constructor or MethodKind.UserDefinedOperator or MethodKind.Conversion)
+            .OrderBy(member => member switch
+            {
+                IFieldSymbol => 0,
+                IMethodSymbol { MethodKind: MethodKind.Constructor } => 1,
+                IPropertySymbol => 2,
+                IEventSymbol => 3,
+                IMethodSymbol => 4,
+                _ => 5
+            })
+            .ThenBy(member => member.Name, StringComparer.Ordinal);
+    }
+
+    private static void WriteDocumentation(Writer writer, ISymbol symbol, int indent)
+    {
+        var xml = symbol.GetDocumentationCommentXml();
+        if (string.IsNullOrWhiteSpace(xml))
+        {
+            return;
+        }
+
+        foreach (var line in xml.Split('\n').Select(line => line.Trim()).Where(line => line.Length > 0))
+        {
+            writer.Line(indent, "/// " + line);
+        }
+    }
+
+    private static string GetAccessibility(ISymbol symbol)
+    {
+        return symbol.DeclaredAccessibility switch
+        {
+            Accessibility.Public => "public",
+            Accessibility.Protected => "protected",
+            Accessibility.ProtectedOrInternal => "protected internal",
+            Accessibility.Internal => "internal",
+            _ => "private"
+        };
+    }
+
+    /// <summary>
+    /// Builds the document line by line, remembering where the requested symbol's name was written.
+    /// </summary>
+    private sealed class Writer(ISymbol target)
+    {
+        private readonly StringBuilder _text = new();
+        private readonly ISymbol _target = ((target as IMethodSymbol)?.ReducedFrom ?? target).OriginalDefinition;
+        private int _line;
+
+        public LinePositionSpan? TargetSpan { get; private set; }
+
+        public void Line(int indent = 0, string text = "")
+        {
+            if (text.Length > 0)
+            {
+                _text.Append(' ', indent * 4);
+            }
+            _text.Append(text).Append('\n');
+            _line++;
+        }
+
+        public void Line(string text)
+        {
+            Line(0, text);
+        }
+
+        /// <summary>
+        /// Writes a declaration of the form prefix + name + suffix, where name defaults to the symbol's name.
+        /// </summary>
+        public void Declaration(int indent, string prefix, ISymbol symbol, string suffix, string? name = null)
+        {
+            name ??= symbol is INamedTypeSymbol type ? type.ToDisplayString(TypeNameFormat) : symbol.Name;
+
+            // The type's own declaration stands in until a better match is written
+            if (SymbolEqualityComparer.Default.Equals(symbol.OriginalDefinition, _target) ||
+                (TargetSpan == null && symbol is INamedTypeSymbol && SymbolEqualityComparer.Default.Equals(symbol, _target.ContainingType?.OriginalDefinition)))
+            {
+                // Highlight a generic type's name without its type parameters
+                var start = indent * 4 + prefix.Length;
+                var length = symbol is INamedTypeSymbol ? symbol.Name.Length : name.Length;
+                TargetSpan = new LinePositionSpan(new LinePosition(_line, start), new LinePosition(_line, start + length));
+            }
+
+            Line(indent, prefix + name + suffix);
+        }
+
+        public override string ToString()
+        {
+            return _text.ToString();
+        }
+    }
+}
@@ -0,0 +1,40 @@
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// What happened to the mouse.
+/// Values match the action byte of the mouse message (see <see cref="TerminalProtocol"/>).
+/// </summary>
+public enum MouseAction : byte
+{
+    Press = 0,
+    Release = 1,
+    Move = 2,
+    WheelUp = 3,
+    WheelDown = 4,
+}
+
+/// <summary>
+/// Which mouse button an event refers to.
+/// Values match the button byte of the mouse message (see <see cref="TerminalProtocol"/>).
+/// </summary>
+public enum MouseButton : byte
+{
+    None = 0,
+    Left = 1,
+    Middle = 2,
+    Right = 3,
+}
+
+/// <summary>
+/// A mouse event reported by the terminal.
+/// Coordinates are zero-based cell positions, with (0, 0) at the top-left corner.
+/// A <see cref="MouseAction.Move"/> with a button other than <see cref="MouseButton.None"/> is a drag.
+/// </summary>
+public readonly record struct MouseEvent(
+    MouseAction Action,
+    MouseButton Button,
+    int X,
+    int Y,
+    bool Shift,
+    bool Alt,
+    bool Ctrl);
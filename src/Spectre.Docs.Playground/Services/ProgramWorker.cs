@@ -0,0 +1,60 @@
+using System.Runtime.InteropServices.JavaScript;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Runs compiled programs in a dedicated Web Worker with its own .NET runtime (programWorker.js),
+/// so a program stuck in a tight loop cannot lock the editor or the Stop button.
+///
+/// The worker's terminal I/O uses ring buffers in its own heap; while a program runs,
+/// sharedTerminal.js reads and writes those instead of the ones owned by this runtime.
+/// </summary>
+public static partial class ProgramWorker
+{
+    private static Task<JSObject>? _importTask;
+
+    /// <summary>
+    /// Start the worker and its runtime, if not running yet, and report whether it can run programs.
+    /// Returns false if the browser cannot host it or it failed to start, in which case programs run in process.
+    /// </summary>
+    public static async Task<bool> StartAsync()
+    {
+        try
+        {
+            await (_importTask ??= JSHost.ImportAsync("programHost", "/js/programHost.js"));
+
+            // Ask on every run rather than keeping the first answer: programHost.js replaces a worker the
+            // watchdog terminated, and that replacement can fail or time out, leaving no worker
+            return await JSStartProgramWorker();
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Program worker unavailable, running in process: {ex.Message}");
+            _importTask = null;
+            return false;
+        }
+    }
+
+    /// <summary>
+    /// Run a compiled assembly in the worker, returning once it has exited and its output is on screen.
+    /// Cancelling the terminal's token (Stop button or Ctrl+C) cancels the program in the worker;
+    /// if it keeps running past a grace period, programHost.js terminates the worker and starts a fresh one.
+    /// </summary>
+    /// <returns>true if the program was terminated rather than exiting by itself.</returns>
+    public static async Task<bool> RunAsync(byte[] assemblyBytes, SharedTerminalIO terminalIO, int cols, int rows)
+    {
+        using var registration = terminalIO.CancellationToken.Register(JSCancelProgram);
+        return await JSRunProgram(assemblyBytes, cols, rows);
+    }
+
+    [JSImport("startProgramWorker", "programHost")]
+    [return: JSMarshalAs<JSType.Promise<JSType.Boolean>>]
+    private static partial Task<bool> JSStartProgramWorker();
+
+    [JSImport("runProgram", "programHost")]
+    [return: JSMarshalAs<JSType.Promise<JSType.Boolean>>]
+    private static partial Task<bool> JSRunProgram([JSMarshalAs<JSType.Array<JSType.Number>>] byte[] assembly, int cols, int rows);
+
+    [JSImport("cancelProgram", "programHost")]
+    private static partial void JSCancelProgram();
+}
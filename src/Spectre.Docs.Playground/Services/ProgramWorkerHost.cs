@@ -0,0 +1,56 @@
+using System.Runtime.InteropServices.JavaScript;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Entry points called by programWorker.js in the program worker's runtime.
+/// The page's runtime never calls these; see <see cref="ProgramWorker"/> for that side.
+/// Exports are async because sync C# can't be called from the JS thread with threaded WASM.
+/// </summary>
+public static partial class ProgramWorkerHost
+{
+    private static SharedTerminalIO? _terminalIO;
+
+    /// <summary>
+    /// Allocate this runtime's terminal buffers; programWorker.js passes them on to the page.
+    /// </summary>
+    [JSExport]
+    public static async Task InitializeAsync()
+    {
+        _terminalIO = await SharedTerminalIO.CreateAsync(SharedTerminalIO.ProgramWorkerModulePath);
+    }
+
+    /// <summary>
+    /// Reset the buffers and cancellation token for the next run.
+    /// </summary>
+    [JSExport]
+    public static Task PrepareAsync()
+    {
+        GetTerminalIO().Reset();
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Run a compiled assembly on a background thread of this runtime.
+    /// </summary>
+    [JSExport]
+    public static Task RunAsync([JSMarshalAs<JSType.Array<JSType.Number>>] byte[] assemblyBytes, int cols, int rows)
+    {
+        return new ExecutionService().ExecuteInProcessAsync(assemblyBytes, GetTerminalIO(), cols, rows);
+    }
+
+    /// <summary>
+    /// Cancel the running program (Stop button or Ctrl+C on the page).
+    /// </summary>
+    [JSExport]
+    public static Task CancelAsync()
+    {
+        _terminalIO?.Cancel();
+        return Task.CompletedTask;
+    }
+
+    private static SharedTerminalIO GetTerminalIO()
+    {
+        return _terminalIO ?? throw new InvalidOperationException("The program worker has not been initialized.");
+    }
+}
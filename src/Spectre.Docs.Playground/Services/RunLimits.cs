@@ -0,0 +1,58 @@
+using System.Globalization;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Limits on a single run: how long the program may run and how much output it may write.
+/// The execution host stops the program when the time limit passes; the terminal's output pump
+/// stops showing output and cancels the run when an output limit trips.
+/// </summary>
+/// <remarks>
+/// Runs are unlimited unless a page embedding the playground sets limits with query parameters, for example
+/// <c>?timeout=10&amp;maxOutputBytes=65536&amp;maxLines=200</c> (timeout in seconds).
+/// An output limit of 0 means no limit.
+/// </remarks>
+public sealed record RunLimits(TimeSpan Timeout, int MaxOutputBytes, int MaxLines)
+{
+    public const string TimeoutParameter = "timeout";
+    public const string MaxOutputBytesParameter = "maxOutputBytes";
+    public const string MaxLinesParameter = "maxLines";
+
+    /// <summary>
+    /// No limits, which is what the playground itself runs with.
+    /// </summary>
+    public static RunLimits Default { get; } = new(System.Threading.Timeout.InfiniteTimeSpan, 0, 0);
+
+    /// <summary>
+    /// The limits set by the limit parameters in the query string of the given URL.
+    /// A parameter given more than once keeps its strictest value.
+    /// </summary>
+    public static RunLimits FromUri(string uri)
+    {
+        var limits = Default;
+
+        foreach (var parameter in new Uri(uri).Query.TrimStart('?').Split('&'))
+        {
+            var parts = parameter.Split('=', 2);
+            if (parts.Length != 2 ||
+                !int.TryParse(Uri.UnescapeDataString(parts[1]), NumberStyles.None, CultureInfo.InvariantCulture, out var value) ||
+                value <= 0)
+            {
+                continue;
+            }
+
+            limits = parts[0] switch
+            {
+                TimeoutParameter when Tightens(value, limits.Timeout.TotalSeconds) => limits with { Timeout = TimeSpan.FromSeconds(value) },
+                MaxOutputBytesParameter when Tightens(value, limits.MaxOutputBytes) => limits with { MaxOutputBytes = value },
+                MaxLinesParameter when Tightens(value, limits.MaxLines) => limits with { MaxLines = value },
+                _ => limits
+            };
+        }
+
+        return limits;
+    }
+
+    // No limit is 0, or negative for the infinite timeout, and any value tightens it
+    private static bool Tightens(int value, double current) => current <= 0 || value < current;
+}
@@ -0,0 +1,104 @@
+using Microsoft.CodeAnalysis.Classification;
+using Microsoft.CodeAnalysis.Text;
+
+namespace Spectre.Docs.Playground.Services;
+
+/// <summary>
+/// Classifies the identifiers in a file with Roslyn, so the editor can colour types, methods,
+/// properties and enum members that its C# grammar can't tell apart.
+/// </summary>
+public class SemanticTokensService
+{
+    // Indices of the token types, and below the modifier bits; must match SEMANTIC_TOKEN_TYPES and SEMANTIC_TOKEN_MODIFIERS in editor.js
+    private static readonly Dictionary<string, int> TokenTypes = new()
+    {
+        [ClassificationTypeNames.NamespaceName] = 0,
+        [ClassificationTypeNames.ClassName] = 1,
+        [ClassificationTypeNames.RecordClassName] = 1,
+        [ClassificationTypeNames.DelegateName] = 1,
+        [ClassificationTypeNames.ModuleName] = 1,
+        [ClassificationTypeNames.StructName] = 2,
+        [ClassificationTypeNames.RecordStructName] = 2,
+        [ClassificationTypeNames.InterfaceName] = 3,
+        [ClassificationTypeNames.EnumName] = 4,
+        [ClassificationTypeNames.EnumMemberName] = 5,
+        [ClassificationTypeNames.TypeParameterName] = 6,
+        [ClassificationTypeNames.MethodName] = 7,
+        [ClassificationTypeNames.ExtensionMethodName] = 7,
+        [ClassificationTypeNames.PropertyName] = 8,
+        [ClassificationTypeNames.EventName] = 9,
+        [ClassificationTypeNames.FieldName] = 10,
+        [ClassificationTypeNames.ConstantName] = 10,
+        [ClassificationTypeNames.ParameterName] = 11,
+        [ClassificationTypeNames.LocalName] = 12
+    };
+
+    private const int StaticModifier = 1 << 0;
+
+    private readonly WorkspaceService _workspaceService;
+
+    public SemanticTokensService(WorkspaceService workspaceService)
+    {
+        _workspaceService = workspaceService;
+    }
+
+    /// <summary>
+    /// Gets a file's tokens in Monaco's encoding: five numbers per token (line delta, start delta,
+    /// length, type, modifiers), each position relative to the token before it.
+    /// </summary>
+    public async Task<int[]> GetSemanticTokensAsync(IReadOnlyList<SourceFile> files, string fileName)
+    {
+        try
+        {
+            await _workspaceService.EnsureInitializedAsync();
+
+            var document = _workspaceService.CreateDocument(files, fileName);
+            if (document == null)
+            {
+                return [];
+            }
+
+            var sourceText = await document.GetTextAsync();
+            var classifiedSpans = await Classifier.GetClassifiedSpansAsync(document, new TextSpan(0, sourceText.Length));
+
+            // A symbol's span can be classified twice, e.g. as "method name" and "static symbol"
+            var tokens = classifiedSpans
+                .GroupBy(span => span.TextSpan)
+                .Select(group => (
+                    Span: group.Key,
+                    Type: group.Select(span => TokenTypes.GetValueOrDefault(span.ClassificationType, -1)).Max(),
+                    Modifiers: group.Any(span => span.ClassificationType == ClassificationTypeNames.StaticSymbol) ? StaticModifier : 0))
+                .Where(token => token.Type >= 0 && token.Span.Length > 0)
+                .OrderBy(token => token.Span.Start);
+
+            List<int> data = [];
+            int previousLine = 0, previousCharacter = 0;
+            foreach (var (span, type, modifiers) in tokens)
+            {
+                var lineSpan = sourceText.Lines.GetLinePositionSpan(span);
+                if (lineSpan.Start.Line != lineSpan.End.Line)
+                {
+                    continue;
+                }
+
+                var line = lineSpan.Start.Line;
+                var character = lineSpan.Start.Character;
+                data.Add(line - previousLine);
+                data.Add(line == previousLine ? character - previousCharacter : character);
+                data.Add(span.Length);
+                data.Add(type);
+                data.Add(modifiers);
+
+                previousLine = line;
+                previousCharacter = character;
+            }
+
+            return data.ToArray();
+        }
+        catch (Exception ex)
+        {
+            System.Console.WriteLine($"Semantic tokens error: {ex.Message}");
+            return [];
+        }
+    }
+}
@@ -33,6 +33,12 @@ public unsafe class SharedRingBuffer : IDisposable
     private readonly int* _signalPtr;
     private readonly byte* _dataPtr;
 
+    // Backpressure statistics, cleared by Reset()
+    private int _highWaterMark;
+    private int _pendingBytes;
+    private long _blockedBytes;
+    private long _droppedBytes;
+
     /// <summary>
     /// Create a ring buffer wrapping existing memory (from SharedArrayBuffer).
     /// </summary>
@@ -58,6 +64,26 @@ public unsafe class SharedRingBuffer : IDisposable
     /// </summary>
     public int DataSize => _dataSize;
 
+    /// <summary>
+    /// Highest number of unread bytes seen after a write since the last reset.
+    /// </summary>
+    public int HighWaterMark => Volatile.Read(ref _highWaterMark);
+
+    /// <summary>
+    /// Bytes that writers are currently waiting to write because the buffer is full.
+    /// </summary>
+    public int PendingBytes => Volatile.Read(ref _pendingBytes);
+
+    /// <summary>
+    /// Bytes passed to <see cref="WriteAll"/> that had to wait for free space since the last reset.
+    /// </summary>
+    public long BlockedBytes => Interlocked.Read(ref _blockedBytes);
+
+    /// <summary>
+    /// Bytes passed to <see cref="WriteAll"/> that were dropped since the last reset.
+    /// </summary>
+    public long DroppedBytes => Interlocked.Read(ref _droppedBytes);
+
     /// <summary>
     /// Total buffer size including header.
     /// </summary>
@@ -122,9 +148,58 @@ public unsafe class SharedRingBuffer : IDisposable
         // Update write index atomically
         Interlocked.Exchange(ref *_writeIndexPtr, writeIdx);
 
-        // Signal that data is available
+        // Count the write. This does not notify Atomics waiters, so JS readers of C# output poll the indices
         Interlocked.Increment(ref *_signalPtr);
 
+        UpdateHighWaterMark(Available());
+        return true;
+    }
+
+    /// <summary>
+    /// Write data, waiting for the reader to free space whenever the buffer is full.
+    /// Data larger than the buffer is written in chunks.
+    /// </summary>
+    /// <param name="data">Data to write</param>
+    /// <param name="stallTimeoutMs">Give up once the reader has freed no space for this long</param>
+    /// <param name="cancellationToken">Stops waiting for space when cancelled</param>
+    /// <returns>True if all data was written, false if the rest was dropped</returns>
+    public bool WriteAll(ReadOnlySpan<byte> data, int stallTimeoutMs, CancellationToken cancellationToken = default)
+    {
+        var lastProgress = Environment.TickCount64;
+        var blocked = false;
+
+        while (data.Length > 0)
+        {
+            var chunk = Math.Min(data.Length, FreeSpace());
+            if (chunk > 0)
+            {
+                Write(data[..chunk]);
+                data = data[chunk..];
+                lastProgress = Environment.TickCount64;
+                if (blocked)
+                    Interlocked.Add(ref _pendingBytes, -chunk);
+                continue;
+            }
+
+            if (!blocked)
+            {
+                blocked = true;
+                Interlocked.Add(ref _blockedBytes, data.Length);
+                Interlocked.Add(ref _pendingBytes, data.Length);
+            }
+
+            if (cancellationToken.IsCancellationRequested ||
+                Environment.TickCount64 - lastProgress >= stallTimeoutMs)
+            {
+                Interlocked.Add(ref _droppedBytes, data.Length);
+                Interlocked.Add(ref _pendingBytes, -data.Length);
+                return false;
+            }
+
+            // Sleep to yield the thread properly
+            Thread.Sleep(1);
+        }
+
         return true;
     }
 
@@ -210,6 +285,43 @@ public unsafe class SharedRingBuffer : IDisposable
         return true;
     }
 
+    /// <summary>
+    /// Look at the next byte without consuming it.
+    /// </summary>
+    /// <param name="value">The next byte</param>
+    /// <returns>True if a byte is available</returns>
+    public bool TryPeekByte(out byte value)
+    {
+        if (Available() == 0)
+        {
+            value = 0;
+            return false;
+        }
+
+        value = _dataPtr[GetReadIndex()];
+        return true;
+    }
+
+    /// <summary>
+    /// Copy the next bytes into destination without consuming them.
+    /// </summary>
+    /// <param name="destination">Filled with the next destination.Length bytes</param>
+    /// <returns>True if that many bytes are available</returns>
+    public bool TryPeek(Span<byte> destination)
+    {
+        if (Available() < destination.Length)
+            return false;
+
+        var readIdx = GetReadIndex();
+        for (var i = 0; i < destination.Length; i++)
+        {
+            destination[i] = _dataPtr[readIdx];
+            readIdx = (uint)((readIdx + 1) % _dataSize);
+        }
+
+        return true;
+    }
+
     /// <summary>
     /// Read exactly the specified number of bytes, blocking if necessary.
     /// </summary>
@@ -268,13 +380,29 @@ public unsafe class SharedRingBuffer : IDisposable
     }
 
     /// <summary>
-    /// Reset the buffer (clear all data).
+    /// Reset the buffer (clear all data and statistics).
     /// </summary>
     public void Reset()
     {
         Interlocked.Exchange(ref *_writeIndexPtr, 0);
         Interlocked.Exchange(ref *_readIndexPtr, 0);
         Interlocked.Exchange(ref *_signalPtr, 0);
+
+        Interlocked.Exchange(ref _highWaterMark, 0);
+        Interlocked.Exchange(ref _blockedBytes, 0);
+        Interlocked.Exchange(ref _droppedBytes, 0);
+    }
+
+    private void UpdateHighWaterMark(int used)
+    {
+        var current = Volatile.Read(ref _highWaterMark);
+        while (used > current)
+        {
+            var previous = Interlocked.CompareExchange(ref _highWaterMark, used, current);
+            if (previous == current)
+                break;
+            current = previous;
+        }
     }
 
     public void Dispose()
@@ -290,24 +418,160 @@ public unsafe class SharedRingBuffer : IDisposable
 }
 
 /// <summary>
-/// ConsoleKeyInfo reader for the input ring buffer.
-/// Format: [keyCode: u8, keyChar: u16 (LE), modifiers: u8]
+/// Framed message protocol for the input and control ring buffers, shared with terminalProtocol.js.
+/// Frame: [version: u8, type: u8, length: u16 (LE), payload: length bytes]
+/// - Key (type 1):    [keyCode: u8, modifiers: u8, keyChar: u32 (LE)], keyChar is a code point
+/// - Text (type 2):   UTF-8 text that did not come from key presses (paste, IME)
+/// - Resize (type 3): [cols: u16 (LE), rows: u16 (LE)]
+/// - Mouse (type 4):  [action: u8, button: u8, x: u16 (LE), y: u16 (LE), modifiers: u8]
+/// - Focus (type 5):  [focused: u8]
+/// - Cancel (type 6): no payload, wakes up any waiting reader
+///
+/// Modifiers are a bit set: shift = 1, alt = 2, ctrl = 4.
+/// Frames with another version or an unknown type are skipped by their length, so either side
+/// can add message types without breaking the other.
+/// </summary>
+public static class TerminalProtocol
+{
+    public const byte Version = 1;
+    public const int FrameHeaderSize = 4;
+
+    public const byte KeyMessage = 1;
+    public const byte TextMessage = 2;
+    public const byte ResizeMessage = 3;
+    public const byte MouseMessage = 4;
+    public const byte FocusMessage = 5;
+    public const byte CancelMessage = 6;
+
+    /// <summary>
+    /// Read the next complete frame of the current version.
+    /// JS writes each frame in a single ring write, so a visible header means the payload is there too.
+    /// </summary>
+    /// <param name="buffer">The ring buffer to read from</param>
+    /// <param name="type">The message type</param>
+    /// <param name="payload">The message payload</param>
+    /// <returns>True if a frame was read</returns>
+    public static bool TryReadFrame(SharedRingBuffer buffer, out byte type, out byte[] payload)
+    {
+        Span<byte> header = stackalloc byte[FrameHeaderSize];
+        while (buffer.TryPeek(header))
+        {
+            var length = header[2] | (header[3] << 8);
+            if (FrameHeaderSize + length >= buffer.DataSize)
+            {
+                // Larger than the ring can hold - the stream is out of sync, discard it
+                buffer.Reset();
+                break;
+            }
+
+            if (buffer.Available() < FrameHeaderSize + length)
+                break;
+
+            buffer.Read(FrameHeaderSize);
+            var data = length > 0 ? buffer.Read(length) : [];
+            if (header[0] == Version)
+            {
+                type = header[1];
+                payload = data;
+                return true;
+            }
+        }
+
+        type = 0;
+        payload = [];
+        return false;
+    }
+}
+
+/// <summary>
+/// Reads <see cref="TerminalProtocol"/> frames from the input ring buffer.
+/// Frames are drained into per-type queues so keys and mouse events can be read independently.
+/// Key and text messages are read as the UTF-16 units a console delivers: one key inside the BMP,
+/// a surrogate pair of keys outside it.
 /// </summary>
-public unsafe class KeyInfoReader
+public class InputPacketReader
 {
+    // Mouse events are only kept for programs that read them; older ones are dropped
+    private const int MaxQueuedMouseEvents = 256;
+
+    // Characters of text messages by the key that produces them on a US layout; must match CHAR_KEYS
+    // in consoleKeys.js, which consoleKeys.test.js checks
+    private static readonly Dictionary<char, (ConsoleKey Key, bool Shift)> CharKeys = new()
+    {
+        [' '] = (ConsoleKey.Spacebar, false),
+        ['\t'] = (ConsoleKey.Tab, false),
+        ['\r'] = (ConsoleKey.Enter, false),
+        ['\n'] = (ConsoleKey.Enter, false),
+        ['\b'] = (ConsoleKey.Backspace, false),
+        ['\x7f'] = (ConsoleKey.Backspace, false),
+        ['\e'] = (ConsoleKey.Escape, false),
+        ['`'] = (ConsoleKey.Oem3, false), ['~'] = (ConsoleKey.Oem3, true),
+        ['-'] = (ConsoleKey.OemMinus, false), ['_'] = (ConsoleKey.OemMinus, true),
+        ['='] = (ConsoleKey.OemPlus, false), ['+'] = (ConsoleKey.OemPlus, true),
+        ['['] = (ConsoleKey.Oem4, false), ['{'] = (ConsoleKey.Oem4, true),
+        [']'] = (ConsoleKey.Oem6, false), ['}'] = (ConsoleKey.Oem6, true),
+        ['\\'] = (ConsoleKey.Oem5, false), ['|'] = (ConsoleKey.Oem5, true),
+        [';'] = (ConsoleKey.Oem1, false), [':'] = (ConsoleKey.Oem1, true),
+        ['\''] = (ConsoleKey.Oem7, false), ['"'] = (ConsoleKey.Oem7, true),
+        [','] = (ConsoleKey.OemComma, false), ['<'] = (ConsoleKey.OemComma, true),
+        ['.'] = (ConsoleKey.OemPeriod, false), ['>'] = (ConsoleKey.OemPeriod, true),
+        ['/'] = (ConsoleKey.Oem2, false), ['?'] = (ConsoleKey.Oem2, true),
+        [')'] = (ConsoleKey.D0, true), ['!'] = (ConsoleKey.D1, true), ['@'] = (ConsoleKey.D2, true),
+        ['#'] = (ConsoleKey.D3, true), ['$'] = (ConsoleKey.D4, true), ['%'] = (ConsoleKey.D5, true),
+        ['^'] = (ConsoleKey.D6, true), ['&'] = (ConsoleKey.D7, true), ['*'] = (ConsoleKey.D8, true),
+        ['('] = (ConsoleKey.D9, true),
+    };
+
     private readonly SharedRingBuffer _buffer;
+    private readonly Lock _lock = new();
+    private readonly Queue<ConsoleKeyInfo> _keys = new();
+    private readonly Queue<MouseEvent> _mouseEvents = new();
+    private bool _cancelPending;
+    private bool _hasFocus;
 
-    public KeyInfoReader(SharedRingBuffer buffer)
+    public InputPacketReader(SharedRingBuffer buffer)
     {
         _buffer = buffer;
     }
 
+    /// <summary>
+    /// Whether the terminal had keyboard focus at the last focus message.
+    /// Kept across <see cref="Clear"/>, since focus does not change when a run starts.
+    /// </summary>
+    public bool HasFocus
+    {
+        get
+        {
+            lock (_lock)
+            {
+                Pump();
+                return _hasFocus;
+            }
+        }
+    }
+
     /// <summary>
     /// Check if a key is available without blocking.
     /// </summary>
     public bool IsKeyAvailable()
     {
-        return _buffer.Available() >= 4;
+        lock (_lock)
+        {
+            Pump();
+            return _keys.Count > 0 || _cancelPending;
+        }
+    }
+
+    /// <summary>
+    /// Check if a mouse event is available without blocking.
+    /// </summary>
+    public bool IsMouseAvailable()
+    {
+        lock (_lock)
+        {
+            Pump();
+            return _mouseEvents.Count > 0 || _cancelPending;
+        }
     }
 
     /// <summary>
@@ -315,61 +579,239 @@ public unsafe class KeyInfoReader
     /// </summary>
     public ConsoleKeyInfo ReadKey(CancellationToken cancellationToken = default)
     {
-        // Wait for 4 bytes (key info packet)
-        while (_buffer.Available() < 4)
+        while (true)
+        {
+            cancellationToken.ThrowIfCancellationRequested();
+
+            if (TryReadKey(out var keyInfo))
+                return keyInfo;
+
+            Thread.Sleep(10);
+        }
+    }
+
+    /// <summary>
+    /// Try to read a key without blocking.
+    /// Throws OperationCanceledException if a cancel message was read.
+    /// </summary>
+    public bool TryReadKey(out ConsoleKeyInfo keyInfo)
+    {
+        lock (_lock)
+        {
+            Pump();
+            ThrowIfCancelPending();
+            return _keys.TryDequeue(out keyInfo);
+        }
+    }
+
+    /// <summary>
+    /// Read a mouse event, blocking until available.
+    /// </summary>
+    public MouseEvent ReadMouse(CancellationToken cancellationToken = default)
+    {
+        while (true)
         {
             cancellationToken.ThrowIfCancellationRequested();
+
+            if (TryReadMouse(out var mouseEvent))
+                return mouseEvent;
+
             Thread.Sleep(10);
         }
+    }
 
-        var data = _buffer.Read(4);
+    /// <summary>
+    /// Try to read a mouse event without blocking.
+    /// Throws OperationCanceledException if a cancel message was read.
+    /// </summary>
+    public bool TryReadMouse(out MouseEvent mouseEvent)
+    {
+        lock (_lock)
+        {
+            Pump();
+            ThrowIfCancelPending();
+            return _mouseEvents.TryDequeue(out mouseEvent);
+        }
+    }
 
-        // Check for special cancel key packet: [keyCode=0, keyChar=0x03, modifiers=0xFF]
-        if (data[0] == 0 && data[1] == 0x03 && data[2] == 0x00 && data[3] == 0xFF)
+    /// <summary>
+    /// Drop any queued input (used when the input buffer is reset).
+    /// </summary>
+    public void Clear()
+    {
+        lock (_lock)
+        {
+            _keys.Clear();
+            _mouseEvents.Clear();
+            _cancelPending = false;
+        }
+    }
+
+    private void ThrowIfCancelPending()
+    {
+        if (!_cancelPending)
+            return;
+
+        _cancelPending = false;
+        throw new OperationCanceledException();
+    }
+
+    /// <summary>
+    /// Move every complete frame from the ring buffer into the typed queues.
+    /// </summary>
+    private void Pump()
+    {
+        while (TerminalProtocol.TryReadFrame(_buffer, out var type, out var payload))
         {
-            throw new OperationCanceledException(cancellationToken);
+            switch (type)
+            {
+                case TerminalProtocol.KeyMessage when payload.Length >= 6:
+                    EnqueueKey(payload);
+                    break;
+                case TerminalProtocol.TextMessage:
+                    EnqueueText(payload);
+                    break;
+                case TerminalProtocol.MouseMessage when payload.Length >= 7:
+                    if (_mouseEvents.Count == MaxQueuedMouseEvents)
+                        _mouseEvents.Dequeue();
+                    _mouseEvents.Enqueue(ParseMouse(payload));
+                    break;
+                case TerminalProtocol.FocusMessage when payload.Length >= 1:
+                    _hasFocus = payload[0] != 0;
+                    break;
+                case TerminalProtocol.CancelMessage:
+                    _cancelPending = true;
+                    break;
+            }
         }
+    }
 
-        var keyCode = (ConsoleKey)data[0];
-        var keyChar = (char)(data[1] | (data[2] << 8));
-        var modifiers = data[3];
+    private void EnqueueKey(byte[] payload)
+    {
+        var keyCode = (ConsoleKey)payload[0];
+        var modifiers = payload[1];
+        var codePoint = payload[2] | (payload[3] << 8) | (payload[4] << 16) | (payload[5] << 24);
 
         var shift = (modifiers & 1) != 0;
         var alt = (modifiers & 2) != 0;
         var ctrl = (modifiers & 4) != 0;
 
-        return new ConsoleKeyInfo(keyChar, keyCode, shift, alt, ctrl);
+        EnqueueCodePoint(codePoint, keyCode, shift, alt, ctrl);
     }
 
     /// <summary>
-    /// Try to read a key without blocking.
-    /// Throws OperationCanceledException if cancel packet is read.
+    /// Queue text as the keys that type it on a US layout, mirroring translateChar in consoleKeys.js.
+    /// JS has already turned line breaks into a single '\r'.
     /// </summary>
-    public bool TryReadKey(out ConsoleKeyInfo keyInfo)
+    private void EnqueueText(byte[] payload)
     {
-        if (_buffer.Available() < 4)
+        foreach (var rune in Encoding.UTF8.GetString(payload).EnumerateRunes())
         {
-            keyInfo = default;
-            return false;
+            var value = rune.Value;
+            var shift = false;
+            var ctrl = false;
+            ConsoleKey keyCode;
+
+            if (value is >= 'a' and <= 'z')
+            {
+                keyCode = ConsoleKey.A + (value - 'a');
+            }
+            else if (value is >= 'A' and <= 'Z')
+            {
+                keyCode = ConsoleKey.A + (value - 'A');
+                shift = true;
+            }
+            else if (value is >= '0' and <= '9')
+            {
+                keyCode = ConsoleKey.D0 + (value - '0');
+            }
+            else if (rune.IsBmp && CharKeys.TryGetValue((char)value, out var mapped))
+            {
+                (keyCode, shift) = mapped;
+                value = keyCode switch
+                {
+                    ConsoleKey.Enter => '\r',
+                    ConsoleKey.Backspace => '\b',
+                    _ => value
+                };
+            }
+            else if (value is >= 1 and <= 26)
+            {
+                // Remaining C0 control characters are Ctrl+letter (0x01 = Ctrl+A)
+                keyCode = ConsoleKey.A + (value - 1);
+                ctrl = true;
+            }
+            else
+            {
+                keyCode = ConsoleKey.NoName;
+            }
+
+            EnqueueCodePoint(value, keyCode, shift, false, ctrl);
         }
+    }
 
-        var data = _buffer.Read(4);
+    private void EnqueueCodePoint(int codePoint, ConsoleKey keyCode, bool shift, bool alt, bool ctrl)
+    {
+        if (!Rune.IsValid(codePoint))
+            return;
 
-        // Check for special cancel key packet: [keyCode=0, keyChar=0x03, modifiers=0xFF]
-        if (data[0] == 0 && data[1] == 0x03 && data[2] == 0x00 && data[3] == 0xFF)
+        foreach (var keyChar in char.ConvertFromUtf32(codePoint))
         {
-            throw new OperationCanceledException();
+            _keys.Enqueue(new ConsoleKeyInfo(keyChar, keyCode, shift, alt, ctrl));
         }
+    }
 
-        var keyCode = (ConsoleKey)data[0];
-        var keyChar = (char)(data[1] | (data[2] << 8));
-        var modifiers = data[3];
+    private static MouseEvent ParseMouse(byte[] payload)
+    {
+        var action = (MouseAction)payload[0];
+        var button = (MouseButton)payload[1];
+        var x = payload[2] | (payload[3] << 8);
+        var y = payload[4] | (payload[5] << 8);
+        var modifiers = payload[6];
 
         var shift = (modifiers & 1) != 0;
         var alt = (modifiers & 2) != 0;
         var ctrl = (modifiers & 4) != 0;
 
-        keyInfo = new ConsoleKeyInfo(keyChar, keyCode, shift, alt, ctrl);
-        return true;
+        return new MouseEvent(action, button, x, y, shift, alt, ctrl);
+    }
+}
+
+/// <summary>
+/// Reads <see cref="TerminalProtocol"/> frames from the control ring buffer.
+/// Only resize messages are sent on it.
+/// </summary>
+public class ControlMessageReader
+{
+    private readonly SharedRingBuffer _buffer;
+
+    public ControlMessageReader(SharedRingBuffer buffer)
+    {
+        _buffer = buffer;
+    }
+
+    /// <summary>
+    /// Drain all pending control messages and return the most recent resize, if any.
+    /// </summary>
+    /// <param name="cols">The latest column count</param>
+    /// <param name="rows">The latest row count</param>
+    /// <returns>True if at least one resize message was read</returns>
+    public bool TryReadResize(out int cols, out int rows)
+    {
+        cols = 0;
+        rows = 0;
+        var found = false;
+
+        while (TerminalProtocol.TryReadFrame(_buffer, out var type, out var payload))
+        {
+            if (type != TerminalProtocol.ResizeMessage || payload.Length < 4)
+                continue;
+
+            cols = payload[0] | (payload[1] << 8);
+            rows = payload[2] | (payload[3] << 8);
+            found = true;
+        }
+
+        return found;
     }
 }
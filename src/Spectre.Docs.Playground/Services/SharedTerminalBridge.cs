@@ -74,6 +74,30 @@ public class SharedTerminalBridge : ITerminalBridge
         return _terminalIO.IsKeyAvailable();
     }
 
+    /// <summary>
+    /// Try to read a mouse event without blocking.
+    /// No JS interop required - reads directly from WASM shared memory.
+    /// </summary>
+    public bool TryReadMouse(out MouseEvent mouseEvent)
+    {
+        if (_isComplete)
+        {
+            mouseEvent = default;
+            return false;
+        }
+
+        return _terminalIO.TryReadMouse(out mouseEvent);
+    }
+
+    /// <summary>
+    /// Get the current terminal size.
+    /// Picks up resizes pushed by JS through the control ring buffer.
+    /// </summary>
+    public (int Width, int Height) GetSize()
+    {
+        return _terminalIO.GetSize();
+    }
+
     /// <summary>
     /// Signal that execution is complete.
     /// </summary>
@@ -1,5 +1,7 @@
 using System.Runtime.InteropServices;
 using System.Runtime.InteropServices.JavaScript;
+using System.Text;
+using System.Text.Json;
 
 namespace Spectre.Docs.Playground.Services;
 
@@ -14,16 +16,34 @@ public sealed partial class SharedTerminalIO : IDisposable
 {
     private readonly unsafe byte* _outputBufferPtr;
     private readonly unsafe byte* _inputBufferPtr;
+    private readonly unsafe byte* _controlBufferPtr;
     private readonly SharedRingBuffer _outputBuffer;
     private readonly SharedRingBuffer _inputBuffer;
-    private readonly KeyInfoReader _keyReader;
+    private readonly SharedRingBuffer _controlBuffer;
+    private readonly InputPacketReader _inputReader;
+    private readonly ControlMessageReader _controlReader;
     private readonly nint _outputHandle;
     private readonly nint _inputHandle;
+    private readonly nint _controlHandle;
+    private readonly Lock _sizeLock = new();
+    private readonly Lock _outputLock = new();
+    private readonly Encoder _outputEncoder = Encoding.UTF8.GetEncoder();
+    private int _columns = 80;
+    private int _rows = 24;
     private bool _disposed;
+    private long _outputBytesWritten;
 
     // Buffer sizes (including 12-byte header)
     public const int OutputBufferSize = 64 * 1024 + 12;  // 64KB for terminal output
-    public const int InputBufferSize = 4 * 1024 + 12;    // 4KB for keyboard input
+    public const int InputBufferSize = 4 * 1024 + 12;    // 4KB for keyboard and mouse input
+    public const int ControlBufferSize = 1024 + 12;      // 1KB for control messages (resize)
+
+    // JS modules providing the "sharedTerminal" functions: the terminal on the page, or its stand-in in the program worker
+    public const string TerminalModulePath = "/js/sharedTerminal.js";
+    public const string ProgramWorkerModulePath = "/js/programWorker.js";
+
+    // How long a writer waits on a full output buffer for the terminal to drain it before dropping output
+    private const int OutputStallTimeoutMs = 5000;
 
     private static SharedTerminalIO? _instance;
     private static bool _moduleLoaded;
@@ -44,20 +64,28 @@ public sealed partial class SharedTerminalIO : IDisposable
         // Allocate from WASM heap - this memory is accessible from JS via Module.HEAPU8
         _outputHandle = Marshal.AllocHGlobal(OutputBufferSize);
         _inputHandle = Marshal.AllocHGlobal(InputBufferSize);
+        _controlHandle = Marshal.AllocHGlobal(ControlBufferSize);
 
         _outputBufferPtr = (byte*)_outputHandle;
         _inputBufferPtr = (byte*)_inputHandle;
+        _controlBufferPtr = (byte*)_controlHandle;
 
         // Zero out the memory
         new Span<byte>(_outputBufferPtr, OutputBufferSize).Clear();
         new Span<byte>(_inputBufferPtr, InputBufferSize).Clear();
+        new Span<byte>(_controlBufferPtr, ControlBufferSize).Clear();
 
         _outputBuffer = new SharedRingBuffer(_outputBufferPtr, OutputBufferSize);
         _inputBuffer = new SharedRingBuffer(_inputBufferPtr, InputBufferSize);
-        _keyReader = new KeyInfoReader(_inputBuffer);
+        _controlBuffer = new SharedRingBuffer(_controlBufferPtr, ControlBufferSize);
+        _inputReader = new InputPacketReader(_inputBuffer);
+        _controlReader = new ControlMessageReader(_controlBuffer);
 
         // Register the buffer pointers with JS
-        JSRegisterBuffers((int)_outputHandle, OutputBufferSize, (int)_inputHandle, InputBufferSize);
+        JSRegisterBuffers(
+            (int)_outputHandle, OutputBufferSize,
+            (int)_inputHandle, InputBufferSize,
+            (int)_controlHandle, ControlBufferSize);
 
         // Create cancellation token source for this execution
         _cancellationTokenSource = new CancellationTokenSource();
@@ -73,7 +101,7 @@ public sealed partial class SharedTerminalIO : IDisposable
     {
         _cancellationTokenSource?.Cancel();
 
-        // Write a special "cancel" key to the input buffer via JS to wake up any waiting ReadKey
+        // Write a cancel message to the input buffer via JS to wake up any waiting ReadKey/ReadMouse
         // We use JS because it writes to the shared memory in a way the background thread can see
         try
         {
@@ -100,7 +128,17 @@ public sealed partial class SharedTerminalIO : IDisposable
     /// Create a new SharedTerminalIO instance.
     /// Must be called from the main thread with JS interop access.
     /// </summary>
-    public static async Task<SharedTerminalIO> CreateAsync(CancellationToken cancellationToken = default)
+    public static Task<SharedTerminalIO> CreateAsync(CancellationToken cancellationToken = default)
+    {
+        return CreateAsync(TerminalModulePath, cancellationToken);
+    }
+
+    /// <summary>
+    /// Create a new SharedTerminalIO instance, importing modulePath as the "sharedTerminal" module.
+    /// The program worker's runtime passes <see cref="ProgramWorkerModulePath"/>, which hands the
+    /// buffers to the terminal on the page.
+    /// </summary>
+    public static async Task<SharedTerminalIO> CreateAsync(string modulePath, CancellationToken cancellationToken = default)
     {
         // Load the JS module if not already loaded
         if (!_moduleLoaded)
@@ -111,16 +149,16 @@ public sealed partial class SharedTerminalIO : IDisposable
                 using var timeoutCts = new CancellationTokenSource(TimeSpan.FromSeconds(30));
                 using var linkedCts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken, timeoutCts.Token);
 
-                await JSHost.ImportAsync("sharedTerminal", "/js/sharedTerminal.js").WaitAsync(linkedCts.Token);
+                await JSHost.ImportAsync("sharedTerminal", modulePath).WaitAsync(linkedCts.Token);
                 _moduleLoaded = true;
             }
             catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
             {
-                throw new TimeoutException("Failed to load sharedTerminal.js module within 30 seconds. The terminal may not be available.");
+                throw new TimeoutException($"Failed to load {modulePath} module within 30 seconds. The terminal may not be available.");
             }
             catch (Exception ex)
             {
-                throw new InvalidOperationException($"Failed to load sharedTerminal.js module: {ex.Message}", ex);
+                throw new InvalidOperationException($"Failed to load {modulePath} module: {ex.Message}", ex);
             }
         }
 
@@ -133,21 +171,38 @@ public sealed partial class SharedTerminalIO : IDisposable
         return new SharedTerminalIO();
     }
 
+    /// <summary>
+    /// Total bytes written to the terminal output buffer.
+    /// </summary>
+    public long OutputBytesWritten => Interlocked.Read(ref _outputBytesWritten);
+
     /// <summary>
     /// Write text to the terminal output buffer.
     /// Can be called from any thread - no JS interop required.
+    /// Blocks while the buffer is full until the terminal has drained enough of it.
     /// </summary>
     public void WriteOutput(string text)
     {
-        _outputBuffer.WriteString(text);
+        // The encoder holds a high surrogate at the end of one write until its low surrogate
+        // arrives with the next, so text echoed one UTF-16 unit at a time (pasted emoji) stays intact
+        lock (_outputLock)
+        {
+            var bytes = new byte[_outputEncoder.GetByteCount(text, flush: false)];
+            _outputEncoder.GetBytes(text, bytes, flush: false);
+            WriteOutput(bytes);
+        }
     }
 
     /// <summary>
     /// Write bytes to the terminal output buffer.
+    /// Blocks while the buffer is full until the terminal has drained enough of it.
     /// </summary>
     public void WriteOutput(ReadOnlySpan<byte> data)
     {
-        _outputBuffer.Write(data);
+        if (_outputBuffer.WriteAll(data, OutputStallTimeoutMs, CancellationToken))
+        {
+            Interlocked.Add(ref _outputBytesWritten, data.Length);
+        }
     }
 
     /// <summary>
@@ -155,7 +210,7 @@ public sealed partial class SharedTerminalIO : IDisposable
     /// </summary>
     public bool IsKeyAvailable()
     {
-        return _keyReader.IsKeyAvailable();
+        return _inputReader.IsKeyAvailable();
     }
 
     /// <summary>
@@ -164,7 +219,7 @@ public sealed partial class SharedTerminalIO : IDisposable
     /// </summary>
     public ConsoleKeyInfo ReadKey(CancellationToken cancellationToken = default)
     {
-        return _keyReader.ReadKey(cancellationToken);
+        return _inputReader.ReadKey(cancellationToken);
     }
 
     /// <summary>
@@ -172,16 +227,85 @@ public sealed partial class SharedTerminalIO : IDisposable
     /// </summary>
     public bool TryReadKey(out ConsoleKeyInfo keyInfo)
     {
-        return _keyReader.TryReadKey(out keyInfo);
+        return _inputReader.TryReadKey(out keyInfo);
+    }
+
+    /// <summary>
+    /// Check if a mouse event is available.
+    /// Mouse events are only reported while the program has mouse tracking enabled.
+    /// </summary>
+    public bool IsMouseAvailable()
+    {
+        return _inputReader.IsMouseAvailable();
+    }
+
+    /// <summary>
+    /// Read a mouse event from the input buffer, blocking until available.
+    /// Can be called from any thread - no JS interop required.
+    /// </summary>
+    public MouseEvent ReadMouse(CancellationToken cancellationToken = default)
+    {
+        return _inputReader.ReadMouse(cancellationToken);
+    }
+
+    /// <summary>
+    /// Try to read a mouse event without blocking.
+    /// </summary>
+    public bool TryReadMouse(out MouseEvent mouseEvent)
+    {
+        return _inputReader.TryReadMouse(out mouseEvent);
+    }
+
+    /// <summary>
+    /// Whether the terminal has keyboard focus, as last reported by JS.
+    /// </summary>
+    public bool IsFocused => _inputReader.HasFocus;
+
+    /// <summary>
+    /// Set the terminal size the running program should see.
+    /// Later resizes from JS arrive through the control buffer and replace this value.
+    /// </summary>
+    public void SetSize(int cols, int rows)
+    {
+        lock (_sizeLock)
+        {
+            _columns = cols;
+            _rows = rows;
+        }
+    }
+
+    /// <summary>
+    /// Get the current terminal size, applying any pending resize messages from JS.
+    /// Can be called from any thread - no JS interop required.
+    /// </summary>
+    public (int Columns, int Rows) GetSize()
+    {
+        lock (_sizeLock)
+        {
+            if (_controlReader.TryReadResize(out var cols, out var rows) && cols > 0 && rows > 0)
+            {
+                _columns = cols;
+                _rows = rows;
+            }
+
+            return (_columns, _rows);
+        }
     }
 
     /// <summary>
-    /// Reset both buffers and create a new cancellation token.
+    /// Reset all buffers and create a new cancellation token.
     /// </summary>
     public void Reset()
     {
         _outputBuffer.Reset();
         _inputBuffer.Reset();
+        _controlBuffer.Reset();
+        _inputReader.Clear();
+
+        lock (_outputLock)
+        {
+            _outputEncoder.Reset();
+        }
 
         // Create a new cancellation token source for the next execution
         _cancellationTokenSource?.Dispose();
@@ -230,6 +354,45 @@ public sealed partial class SharedTerminalIO : IDisposable
         return ((int)result.GetPropertyAsDouble("cols"), (int)result.GetPropertyAsDouble("rows"));
     }
 
+    /// <summary>
+    /// Program output the terminal has written to the screen so far.
+    /// </summary>
+    public static TerminalOutputStats GetOutputStats()
+    {
+        var result = JSGetOutputStats();
+        return new TerminalOutputStats(
+            (long)result.GetPropertyAsDouble("bytes"),
+            (int)result.GetPropertyAsDouble("batches"),
+            result.GetPropertyAsBoolean("worker"));
+    }
+
+    /// <summary>
+    /// Occupancy and backpressure of the output and input buffers since the last reset.
+    /// Output is measured here, where the program writes it; input is measured by sharedTerminal.js,
+    /// which queues keys and mouse events while the input buffer is full.
+    /// </summary>
+    public TerminalBufferStats GetBufferStats()
+    {
+        var output = new RingBufferStats(
+            _outputBuffer.DataSize,
+            _outputBuffer.Available(),
+            _outputBuffer.HighWaterMark,
+            _outputBuffer.PendingBytes,
+            _outputBuffer.BlockedBytes,
+            _outputBuffer.DroppedBytes);
+
+        var inputStats = JSGetInputStats();
+        var input = new RingBufferStats(
+            _inputBuffer.DataSize,
+            _inputBuffer.Available(),
+            (int)inputStats.GetPropertyAsDouble("highWater"),
+            (int)inputStats.GetPropertyAsDouble("pending"),
+            (long)inputStats.GetPropertyAsDouble("blocked"),
+            (long)inputStats.GetPropertyAsDouble("dropped"));
+
+        return new TerminalBufferStats(output, input);
+    }
+
     /// <summary>
     /// Set whether execution is currently running.
     /// Controls cursor blink behavior (cursor only blinks when running AND focused).
@@ -239,9 +402,146 @@ public sealed partial class SharedTerminalIO : IDisposable
         JSSetExecutionRunning(running);
     }
 
+    /// <summary>
+    /// Set the output limits for the run about to start; 0 means no limit.
+    /// Once the program's output passes either limit, the terminal shows no more of it and cancels the run.
+    /// </summary>
+    public static void SetOutputLimits(int maxBytes, int maxLines)
+    {
+        JSSetOutputLimits(maxBytes, maxLines);
+    }
+
+    /// <summary>
+    /// Mark the end of the run's program output, so what the playground writes next is shown
+    /// even if the program passed an output limit.
+    /// </summary>
+    public static void EndProgramOutput()
+    {
+        JSEndProgramOutput();
+    }
+
+    /// <summary>
+    /// Start recording terminal output as an asciicast v2 session.
+    /// </summary>
+    public static void StartRecording()
+    {
+        JSStartRecording();
+    }
+
+    /// <summary>
+    /// Stop recording and download the session as a .cast file.
+    /// Returns false if nothing was being recorded.
+    /// </summary>
+    public static bool SaveRecording(string fileName)
+    {
+        return JSDownloadRecording(fileName);
+    }
+
+    /// <summary>
+    /// Let the user pick a .cast file and play it back in the terminal.
+    /// </summary>
+    public static void ReplayRecordingFile()
+    {
+        JSReplayCastFile();
+    }
+
+    /// <summary>
+    /// Export the terminal and download it.
+    /// Format is "svg" or "html" (screen plus scrollback) or "png" (visible screen).
+    /// </summary>
+    public static Task<bool> ExportTerminalAsync(string format, string fileName)
+    {
+        return JSExportTerminal(format, fileName);
+    }
+
+    /// <summary>
+    /// Get the built-in terminal color themes.
+    /// </summary>
+    public static IReadOnlyList<TerminalThemeInfo> GetTerminalThemes()
+    {
+        return JsonSerializer.Deserialize<List<TerminalThemeInfo>>(
+            JSGetTerminalThemes(),
+            new JsonSerializerOptions(JsonSerializerDefaults.Web)) ?? [];
+    }
+
+    /// <summary>
+    /// Get the terminal theme preference: "auto" (follow the site theme) or a theme id.
+    /// </summary>
+    public static string GetTerminalTheme()
+    {
+        return JSGetTerminalTheme();
+    }
+
+    /// <summary>
+    /// Pick a terminal theme ("auto" or a theme id). The choice is persisted in localStorage.
+    /// </summary>
+    public static void SetTerminalTheme(string preference)
+    {
+        JSSetTerminalTheme(preference);
+    }
+
+    /// <summary>
+    /// Get the current font, cursor and scrollback settings.
+    /// </summary>
+    public static TerminalSettings GetTerminalSettings()
+    {
+        return JsonSerializer.Deserialize<TerminalSettings>(
+            JSGetTerminalSettings(),
+            new JsonSerializerOptions(JsonSerializerDefaults.Web)) ?? new TerminalSettings();
+    }
+
+    /// <summary>
+    /// Set the font size in pixels. The terminal refits, so the running program sees the new size.
+    /// Returns false if the value was rejected.
+    /// </summary>
+    public static bool SetFontSize(int size)
+    {
+        return JSSetFontSize(size);
+    }
+
+    /// <summary>
+    /// Set the CSS font family.
+    /// </summary>
+    public static bool SetFontFamily(string family)
+    {
+        return JSSetFontFamily(family);
+    }
+
+    /// <summary>
+    /// Set the number of scrollback lines.
+    /// </summary>
+    public static bool SetScrollback(int lines)
+    {
+        return JSSetScrollback(lines);
+    }
+
+    /// <summary>
+    /// Set the cursor style: "block", "underline" or "bar".
+    /// </summary>
+    public static bool SetCursorStyle(string style)
+    {
+        return JSSetCursorStyle(style);
+    }
+
+    /// <summary>
+    /// Enable or disable cursor blinking while a program is running.
+    /// </summary>
+    public static bool SetCursorBlink(bool enabled)
+    {
+        return JSSetCursorBlink(enabled);
+    }
+
+    /// <summary>
+    /// Restore the default terminal settings.
+    /// </summary>
+    public static void ResetTerminalSettings()
+    {
+        JSResetTerminalSettings();
+    }
+
     // JS interop methods - these are the ONLY JS calls needed after initialization
     [JSImport("registerBuffers", "sharedTerminal")]
-    private static partial void JSRegisterBuffers(int outputPtr, int outputSize, int inputPtr, int inputSize);
+    private static partial void JSRegisterBuffers(int outputPtr, int outputSize, int inputPtr, int inputSize, int controlPtr, int controlSize);
 
     [JSImport("startTerminal", "sharedTerminal")]
     private static partial Task JSStartTerminal(string containerId);
@@ -258,12 +558,67 @@ public sealed partial class SharedTerminalIO : IDisposable
     [JSImport("getTerminalSize", "sharedTerminal")]
     private static partial JSObject JSGetTerminalSize();
 
+    [JSImport("getOutputStats", "sharedTerminal")]
+    private static partial JSObject JSGetOutputStats();
+
+    [JSImport("getInputStats", "sharedTerminal")]
+    private static partial JSObject JSGetInputStats();
+
     [JSImport("writeCancelKey", "sharedTerminal")]
     private static partial void JSWriteCancelKey();
 
+    [JSImport("startRecording", "sharedTerminal")]
+    private static partial void JSStartRecording();
+
+    [JSImport("downloadRecording", "sharedTerminal")]
+    private static partial bool JSDownloadRecording(string fileName);
+
+    [JSImport("replayCastFile", "sharedTerminal")]
+    private static partial void JSReplayCastFile();
+
+    [JSImport("exportTerminal", "sharedTerminal")]
+    [return: JSMarshalAs<JSType.Promise<JSType.Boolean>>]
+    private static partial Task<bool> JSExportTerminal(string format, string fileName);
+
+    [JSImport("getTerminalThemes", "sharedTerminal")]
+    private static partial string JSGetTerminalThemes();
+
+    [JSImport("getTerminalTheme", "sharedTerminal")]
+    private static partial string JSGetTerminalTheme();
+
+    [JSImport("setTerminalTheme", "sharedTerminal")]
+    private static partial void JSSetTerminalTheme(string preference);
+
+    [JSImport("getTerminalSettings", "sharedTerminal")]
+    private static partial string JSGetTerminalSettings();
+
+    [JSImport("setFontSize", "sharedTerminal")]
+    private static partial bool JSSetFontSize(int size);
+
+    [JSImport("setFontFamily", "sharedTerminal")]
+    private static partial bool JSSetFontFamily(string family);
+
+    [JSImport("setScrollback", "sharedTerminal")]
+    private static partial bool JSSetScrollback(int lines);
+
+    [JSImport("setCursorStyle", "sharedTerminal")]
+    private static partial bool JSSetCursorStyle(string style);
+
+    [JSImport("setCursorBlink", "sharedTerminal")]
+    private static partial bool JSSetCursorBlink(bool enabled);
+
+    [JSImport("resetTerminalSettings", "sharedTerminal")]
+    private static partial void JSResetTerminalSettings();
+
     [JSImport("setExecutionRunning", "sharedTerminal")]
     private static partial void JSSetExecutionRunning(bool running);
 
+    [JSImport("setOutputLimits", "sharedTerminal")]
+    private static partial void JSSetOutputLimits(int maxBytes, int maxLines);
+
+    [JSImport("endProgramOutput", "sharedTerminal")]
+    private static partial void JSEndProgramOutput();
+
     public void Dispose()
     {
         if (_disposed)
@@ -278,12 +633,53 @@ public sealed partial class SharedTerminalIO : IDisposable
 
         _outputBuffer.Dispose();
         _inputBuffer.Dispose();
+        _controlBuffer.Dispose();
 
         // Free the WASM heap memory
         Marshal.FreeHGlobal(_outputHandle);
         Marshal.FreeHGlobal(_inputHandle);
+        Marshal.FreeHGlobal(_controlHandle);
 
         if (_instance == this)
             _instance = null;
     }
 }
+
+/// <summary>
+/// A built-in terminal color theme.
+/// </summary>
+public sealed record TerminalThemeInfo(string Id, string Name, bool Dark);
+
+/// <summary>
+/// User-configurable terminal settings, persisted in localStorage by sharedTerminal.js.
+/// </summary>
+public sealed record TerminalSettings
+{
+    public int FontSize { get; init; } = 18;
+    public string FontFamily { get; init; } = "\"JetBrainsMono NF\", Monaco, Menlo, \"Courier New\", monospace";
+    public string CursorStyle { get; init; } = "block";
+    public bool CursorBlink { get; init; } = true;
+    public int Scrollback { get; init; } = 1000;
+}
+
+/// <summary>
+/// Program output written to the terminal since the page loaded.
+/// <paramref name="Worker"/> is true when the output is drained by the output worker rather than polled.
+/// </summary>
+public sealed record TerminalOutputStats(long Bytes, int Batches, bool Worker);
+
+/// <summary>
+/// Occupancy and backpressure of one ring buffer, in bytes.
+/// </summary>
+/// <param name="Size">Capacity of the buffer</param>
+/// <param name="Used">Unread bytes in the buffer right now</param>
+/// <param name="HighWaterMark">Most unread bytes seen since the last reset</param>
+/// <param name="Pending">Bytes waiting for free space right now</param>
+/// <param name="Blocked">Bytes that had to wait for free space since the last reset</param>
+/// <param name="Dropped">Bytes given up on since the last reset</param>
+public sealed record RingBufferStats(int Size, int Used, int HighWaterMark, int Pending, long Blocked, long Dropped);
+
+/// <summary>
+/// Statistics for the terminal's output and input buffers.
+/// </summary>
+public sealed record TerminalBufferStats(RingBufferStats Output, RingBufferStats Input);
@@ -11,9 +11,13 @@ public class TerminalBridge : ITerminalBridge
     private readonly Channel<string> _outputChannel;
     private readonly Channel<ConsoleKeyInfo> _inputChannel;
     private readonly CancellationToken _cancellationToken;
+    private volatile int _width;
+    private volatile int _height;
 
-    public TerminalBridge(CancellationToken cancellationToken = default)
+    public TerminalBridge(int width = 80, int height = 24, CancellationToken cancellationToken = default)
     {
+        _width = width;
+        _height = height;
         _cancellationToken = cancellationToken;
         _outputChannel = Channel.CreateUnbounded<string>(new UnboundedChannelOptions
         {
@@ -98,6 +102,32 @@ public class TerminalBridge : ITerminalBridge
         return _inputChannel.Reader.TryPeek(out _);
     }
 
+    /// <summary>
+    /// Mouse input is not forwarded through the channel bridge.
+    /// </summary>
+    public bool TryReadMouse(out MouseEvent mouseEvent)
+    {
+        mouseEvent = default;
+        return false;
+    }
+
+    /// <summary>
+    /// Update the terminal size - called by main thread when the terminal is resized.
+    /// </summary>
+    public void Resize(int width, int height)
+    {
+        _width = width;
+        _height = height;
+    }
+
+    /// <summary>
+    /// Get the current terminal size.
+    /// </summary>
+    public (int Width, int Height) GetSize()
+    {
+        return (_width, _height);
+    }
+
     /// <summary>
     /// Signal that execution is complete.
     /// </summary>
@@ -15,17 +15,17 @@ public class TerminalConsole : IAnsiConsole
     private int _cursorLeft;
     private int _cursorTop;
 
-    public TerminalConsole(ITerminalBridge bridge, int width = 80, int height = 24)
+    public TerminalConsole(ITerminalBridge bridge)
     {
         _bridge = bridge;
         var capabilities = new Capabilities
         {
             Ansi = true, Links = false, Interactive = true, Unicode = true
         };
-        Profile = new Profile(new TerminalOutput(_bridge, width, height), capabilities, Encoding.UTF8)
-        {
-            Width = width, Height = height
-        };
+
+        // Width and Height are deliberately not set on the profile so that it falls back
+        // to the output's size, which tracks live terminal resizes.
+        Profile = new Profile(new TerminalOutput(_bridge), capabilities, Encoding.UTF8);
 
         Input = new TerminalInput(_bridge);
         ExclusivityMode = new TerminalExclusivityMode();
@@ -218,18 +218,19 @@ public class TerminalConsole : IAnsiConsole
 
     private class TerminalOutput : IAnsiConsoleOutput
     {
-        public TerminalOutput(ITerminalBridge bridge, int width, int height)
+        private readonly ITerminalBridge _bridge;
+
+        public TerminalOutput(ITerminalBridge bridge)
         {
-            Width = width;
-            Height = height;
+            _bridge = bridge;
             Writer = new TerminalTextWriter(bridge);
         }
 
         public TextWriter Writer { get; }
         public bool IsTerminal => true;
-        public int Width { get; }
+        public int Width => _bridge.GetSize().Width;
 
-        public int Height { get; }
+        public int Height => _bridge.GetSize().Height;
 
         public void SetEncoding(Encoding encoding)
         {
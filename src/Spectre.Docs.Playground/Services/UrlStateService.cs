@@ -10,6 +10,7 @@ namespace Spectre.Docs.Playground.Services;
 /// </summary>
 /// <remarks>
 /// Payload format: Protobuf-encoded UrlPayload message, deflate-compressed, base64url-encoded.
+/// Program.cs goes in the code field, as in links from before multi-file projects; the other files follow it.
 /// </remarks>
 public sealed class UrlStateService
 {
@@ -21,24 +22,49 @@ public sealed class UrlStateService
     }
 
     /// <summary>
-    /// Creates an encoded URL payload with the given code and options.
+    /// Creates an encoded URL payload with the given files and options.
     /// </summary>
-    public static string Encode(string code, bool runImmediately = false)
+    public static string Encode(IReadOnlyList<SourceFile> files, bool runImmediately = false)
     {
-        if (string.IsNullOrEmpty(code))
+        var code = files.FirstOrDefault(file => file.Name == WorkspaceService.MainFileName)?.Code;
+        if (string.IsNullOrEmpty(code) && files.Count <= 1)
         {
             return string.Empty;
         }
 
         var payload = new UrlPayload
         {
-            Code = code,
+            Code = code ?? string.Empty,
             RunImmediately = runImmediately
         };
 
+        foreach (var file in files.Where(file => file.Name != WorkspaceService.MainFileName))
+        {
+            payload.Files.Add(new UrlFile { Name = file.Name, Code = file.Code });
+        }
+
         return CompressBytes(payload.ToByteArray());
     }
 
+    /// <summary>
+    /// Gets the project files from a decoded payload, Program.cs first.
+    /// </summary>
+    public static List<SourceFile> GetFiles(UrlPayload payload)
+    {
+        List<SourceFile> files = [new SourceFile { Name = WorkspaceService.MainFileName, Code = payload.Code }];
+
+        foreach (var file in payload.Files)
+        {
+            // Skip anything the editor itself would not accept, such as duplicates
+            if (WorkspaceService.ValidateFileName(file.Name, files.Select(f => f.Name)) == null)
+            {
+                files.Add(new SourceFile { Name = file.Name, Code = file.Code });
+            }
+        }
+
+        return files;
+    }
+
     /// <summary>
     /// Decodes a URL payload from the encoded string.
     /// </summary>
@@ -68,9 +94,9 @@ public sealed class UrlStateService
     /// <summary>
     /// Updates the URL hash with the compressed payload.
     /// </summary>
-    public async Task UpdateUrlAsync(string code, bool runImmediately = false)
+    public async Task UpdateUrlAsync(IReadOnlyList<SourceFile> files, bool runImmediately = false)
     {
-        var encoded = Encode(code, runImmediately);
+        var encoded = Encode(files, runImmediately);
         await _jsRuntime.InvokeVoidAsync("urlStateInterop.setHash", encoded);
     }
 
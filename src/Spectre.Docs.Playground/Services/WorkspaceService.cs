@@ -61,6 +61,14 @@ public class WorkspaceService
         ["System.ObjectModel"] = "System.ObjectModel.xml",
     };
 
+    /// <summary>
+    /// The file holding the program's top-level statements. It is always present and can't be renamed.
+    /// </summary>
+    public const string MainFileName = "Program.cs";
+
+    // Names of the documents the workspace adds to every project
+    private static readonly string[] ReservedFileNames = ["GlobalUsings.cs", "BrowserTerminal.cs"];
+
     // Global usings included as a separate document in the compilation
     public const string GlobalUsings =
         """
@@ -79,21 +87,20 @@ public class WorkspaceService
         /// <summary>
         /// Browser-compatible ITerminal implementation for Spectre.Tui.
         /// Enables TUI rendering in WASM by bridging to AnsiConsole output.
+        /// The size follows the console profile, so layouts adapt when the terminal is resized.
+        /// Call EnableMouse() and poll TryReadMouse() to build clickable widgets.
         /// </summary>
         public class BrowserTerminal : Spectre.Tui.ITerminal
         {
             private readonly IAnsiConsole _console;
-            private readonly int _width, _height;
 
-            public BrowserTerminal(IAnsiConsole console, int width, int height)
-            {
-                _console = console;
-                _width = width;
-                _height = height;
-            }
+            public BrowserTerminal(IAnsiConsole console) => _console = console;
+
+            // Kept for compatibility with existing snippets; the size is read live from the profile
+            public BrowserTerminal(IAnsiConsole console, int width, int height) : this(console) { }
 
             public void Clear() => _console.Profile.Out.Writer.Write("\x1b[2J\x1b[H");
-            public Spectre.Tui.Size GetSize() => new(_width, _height);
+            public Spectre.Tui.Size GetSize() => new(_console.Profile.Width, _console.Profile.Height);
             public void MoveTo(int x, int y) => _console.Profile.Out.Writer.Write($"\x1b[{y + 1};{x + 1}H");
 
             public void Write(Spectre.Tui.Cell cell)
@@ -112,7 +119,39 @@ public class WorkspaceService
 
             public void Flush() => _console.Profile.Out.Writer.Flush();
             public void Dispose() { }
+
+            // Press/release (and drag) reports in SGR encoding; trackMotion also reports moves with no button held
+            public void EnableMouse(bool trackMotion = false) =>
+                _console.Profile.Out.Writer.Write(trackMotion ? "\x1b[?1003h\x1b[?1006h" : "\x1b[?1002h\x1b[?1006h");
+            public void DisableMouse() => _console.Profile.Out.Writer.Write("\x1b[?1002l\x1b[?1003l\x1b[?1006l");
+
+            // Pasted text arrives between ESC [200~ and ESC [201~ key sequences, so it can be told apart from typing
+            public void EnableBracketedPaste() => _console.Profile.Out.Writer.Write("\x1b[?2004h");
+            public void DisableBracketedPaste() => _console.Profile.Out.Writer.Write("\x1b[?2004l");
+
+            public bool TryReadMouse(out BrowserMouseEvent mouseEvent)
+            {
+                var read = System.AppContext.GetData("Spectre.Playground.TryReadMouse") as System.Func<(int, int, int, int, int)?>;
+                if (read?.Invoke() is not { } e)
+                {
+                    mouseEvent = default;
+                    return false;
+                }
+
+                mouseEvent = new((BrowserMouseAction)e.Item1, (BrowserMouseButton)e.Item2, e.Item3, e.Item4,
+                    (e.Item5 & 1) != 0, (e.Item5 & 2) != 0, (e.Item5 & 4) != 0);
+                return true;
+            }
         }
+
+        public enum BrowserMouseAction { Press, Release, Move, WheelUp, WheelDown }
+        public enum BrowserMouseButton { None, Left, Middle, Right }
+
+        /// <summary>
+        /// A mouse event in zero-based cell coordinates. A Move with a button held is a drag.
+        /// </summary>
+        public readonly record struct BrowserMouseEvent(
+            BrowserMouseAction Action, BrowserMouseButton Button, int X, int Y, bool Shift, bool Alt, bool Ctrl);
         """;
 
     public WorkspaceService(HttpClient httpClient)
@@ -184,10 +223,10 @@ public class WorkspaceService
     }
 
     /// <summary>
-    /// Creates a document in the workspace for the given code.
+    /// Creates the project's documents in the workspace and returns the one for the given file.
     /// Global usings are included as a separate document in the project.
     /// </summary>
-    public Document? CreateDocument(string code)
+    public Document? CreateDocument(IReadOnlyList<SourceFile> files, string fileName)
     {
         if (_workspace == null)
             return null;
@@ -211,9 +250,16 @@ public class WorkspaceService
         // Add BrowserTerminal helper for Spectre.Tui support
         _workspace.AddDocument(project.Id, "BrowserTerminal.cs", SourceText.From(BrowserTerminalHelper));
 
-        // Add the user's code as the main document
-        var sourceText = SourceText.From(code);
-        var document = _workspace.AddDocument(project.Id, "Program.cs", sourceText);
+        // Add the user's files, so code in one sees the types declared in the others
+        Document? document = null;
+        foreach (var file in files)
+        {
+            var added = _workspace.AddDocument(project.Id, file.Name, SourceText.From(file.Code));
+            if (file.Name == fileName)
+            {
+                document = added;
+            }
+        }
 
         // Clean up the project after getting the document
         _workspace.ClearSolution();
@@ -222,9 +268,9 @@ public class WorkspaceService
     }
 
     /// <summary>
-    /// Creates a CSharp compilation for the given code.
+    /// Creates a CSharp compilation of the given files.
     /// </summary>
-    public CSharpCompilation CreateCompilation(string code)
+    public CSharpCompilation CreateCompilation(IReadOnlyList<SourceFile> files)
     {
         var parseOptions = new CSharpParseOptions(LanguageVersion.Latest);
 
@@ -238,20 +284,46 @@ public class WorkspaceService
             parseOptions,
             path: "BrowserTerminal.cs");
 
-        var codeSyntaxTree = CSharpSyntaxTree.ParseText(
-            code,
+        var codeSyntaxTrees = files.Select(file => CSharpSyntaxTree.ParseText(
+            file.Code,
             parseOptions,
-            path: "Program.cs");
+            path: file.Name));
 
         return CSharpCompilation.Create(
             $"PlaygroundAssembly_{Guid.NewGuid():N}",
-            [globalUsingsSyntaxTree, browserTerminalSyntaxTree, codeSyntaxTree],
+            [globalUsingsSyntaxTree, browserTerminalSyntaxTree, .. codeSyntaxTrees],
             _references,
             new CSharpCompilationOptions(OutputKind.ConsoleApplication)
                 .WithOptimizationLevel(OptimizationLevel.Release)
                 .WithConcurrentBuild(true));
     }
 
+    /// <summary>
+    /// Checks a name for a new or renamed file: a plain C# file name, not used by another file
+    /// of the project (other than the one being renamed) or by the workspace's own documents.
+    /// Returns an error message, or null if the name can be used.
+    /// </summary>
+    public static string? ValidateFileName(string name, IEnumerable<string> existingNames)
+    {
+        if (string.IsNullOrWhiteSpace(name) || !name.EndsWith(".cs", StringComparison.OrdinalIgnoreCase) || name.Length == 3)
+        {
+            return "File names must end in .cs";
+        }
+
+        if (name.IndexOfAny(['/', '\\', ':', '*', '?', '"', '<', '>', '|']) >= 0 || name != name.Trim())
+        {
+            return "File names can't contain path separators or special characters";
+        }
+
+        if (ReservedFileNames.Contains(name, StringComparer.OrdinalIgnoreCase) ||
+            existingNames.Contains(name, StringComparer.OrdinalIgnoreCase))
+        {
+            return $"A file named {name} already exists";
+        }
+
+        return null;
+    }
+
     /// <summary>
     /// Converts a Monaco editor position (1-based line/column) to an absolute position.
     /// </summary>
@@ -490,3 +562,12 @@ public class WorkspaceService
         }
     }
 }
+
+/// <summary>
+/// A file of the user's project, edited in its own editor tab.
+/// </summary>
+public class SourceFile
+{
+    public string Name { get; set; } = "";
+    public string Code { get; set; } = "";
+}
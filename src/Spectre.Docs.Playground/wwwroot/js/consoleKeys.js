@@ -0,0 +1,336 @@
+/**
+ * DOM keyboard event -> .NET ConsoleKeyInfo translation for the Spectre.Console Playground.
+ *
+ * Everything is table driven so that each DOM key has exactly one ConsoleKey mapping:
+ * - NAMED_KEYS maps KeyboardEvent.key values for non-printable keys (arrows, F1-F24, media keys)
+ * - CODE_KEYS maps KeyboardEvent.code values for printable keys (letters, digits, numpad, OEM)
+ * - CHAR_KEYS maps characters to keys when the physical key is unknown; C# InputPacketReader
+ *   mirrors it for text messages (paste, IME)
+ */
+
+/**
+ * ConsoleKey enum values (matching .NET System.ConsoleKey)
+ */
+export const ConsoleKey = Object.freeze({
+    None: 0,
+    Backspace: 8,
+    Tab: 9,
+    Clear: 12,
+    Enter: 13,
+    Pause: 19,
+    Escape: 27,
+    Spacebar: 32,
+    PageUp: 33,
+    PageDown: 34,
+    End: 35,
+    Home: 36,
+    LeftArrow: 37,
+    UpArrow: 38,
+    RightArrow: 39,
+    DownArrow: 40,
+    Select: 41,
+    Print: 42,
+    Execute: 43,
+    PrintScreen: 44,
+    Insert: 45,
+    Delete: 46,
+    Help: 47,
+    D0: 48, D1: 49, D2: 50, D3: 51, D4: 52,
+    D5: 53, D6: 54, D7: 55, D8: 56, D9: 57,
+    A: 65, B: 66, C: 67, D: 68, E: 69, F: 70, G: 71, H: 72,
+    I: 73, J: 74, K: 75, L: 76, M: 77, N: 78, O: 79, P: 80,
+    Q: 81, R: 82, S: 83, T: 84, U: 85, V: 86, W: 87, X: 88,
+    Y: 89, Z: 90,
+    LeftWindows: 91,
+    RightWindows: 92,
+    Applications: 93,
+    Sleep: 95,
+    NumPad0: 96, NumPad1: 97, NumPad2: 98, NumPad3: 99, NumPad4: 100,
+    NumPad5: 101, NumPad6: 102, NumPad7: 103, NumPad8: 104, NumPad9: 105,
+    Multiply: 106,
+    Add: 107,
+    Separator: 108,
+    Subtract: 109,
+    Decimal: 110,
+    Divide: 111,
+    F1: 112, F2: 113, F3: 114, F4: 115, F5: 116, F6: 117,
+    F7: 118, F8: 119, F9: 120, F10: 121, F11: 122, F12: 123,
+    F13: 124, F14: 125, F15: 126, F16: 127, F17: 128, F18: 129,
+    F19: 130, F20: 131, F21: 132, F22: 133, F23: 134, F24: 135,
+    BrowserBack: 166,
+    BrowserForward: 167,
+    BrowserRefresh: 168,
+    BrowserStop: 169,
+    BrowserSearch: 170,
+    BrowserFavorites: 171,
+    BrowserHome: 172,
+    VolumeMute: 173,
+    VolumeDown: 174,
+    VolumeUp: 175,
+    MediaNext: 176,
+    MediaPrevious: 177,
+    MediaStop: 178,
+    MediaPlay: 179,
+    LaunchMail: 180,
+    LaunchMediaSelect: 181,
+    LaunchApp1: 182,
+    LaunchApp2: 183,
+    Oem1: 186,
+    OemPlus: 187,
+    OemComma: 188,
+    OemMinus: 189,
+    OemPeriod: 190,
+    Oem2: 191,
+    Oem3: 192,
+    Oem4: 219,
+    Oem5: 220,
+    Oem6: 221,
+    Oem7: 222,
+    Oem8: 223,
+    Oem102: 226,
+    Process: 229,
+    Packet: 231,
+    Attention: 246,
+    CrSel: 247,
+    ExSel: 248,
+    EraseEndOfFile: 249,
+    Play: 250,
+    Zoom: 251,
+    NoName: 252,
+    Pa1: 253,
+    OemClear: 254
+});
+
+/**
+ * Non-printable keys by KeyboardEvent.key: [ConsoleKey, keyChar]
+ */
+const NAMED_KEYS = {
+    Backspace: [ConsoleKey.Backspace, 8],
+    Tab: [ConsoleKey.Tab, 9],
+    Clear: [ConsoleKey.Clear, 0],
+    Enter: [ConsoleKey.Enter, 13],
+    Pause: [ConsoleKey.Pause, 0],
+    Escape: [ConsoleKey.Escape, 27],
+    PageUp: [ConsoleKey.PageUp, 0],
+    PageDown: [ConsoleKey.PageDown, 0],
+    End: [ConsoleKey.End, 0],
+    Home: [ConsoleKey.Home, 0],
+    ArrowLeft: [ConsoleKey.LeftArrow, 0],
+    ArrowUp: [ConsoleKey.UpArrow, 0],
+    ArrowRight: [ConsoleKey.RightArrow, 0],
+    ArrowDown: [ConsoleKey.DownArrow, 0],
+    Select: [ConsoleKey.Select, 0],
+    Print: [ConsoleKey.Print, 0],
+    Execute: [ConsoleKey.Execute, 0],
+    PrintScreen: [ConsoleKey.PrintScreen, 0],
+    Insert: [ConsoleKey.Insert, 0],
+    Delete: [ConsoleKey.Delete, 0],
+    Help: [ConsoleKey.Help, 0],
+    ContextMenu: [ConsoleKey.Applications, 0],
+    Standby: [ConsoleKey.Sleep, 0],
+    BrowserBack: [ConsoleKey.BrowserBack, 0],
+    BrowserForward: [ConsoleKey.BrowserForward, 0],
+    BrowserRefresh: [ConsoleKey.BrowserRefresh, 0],
+    BrowserStop: [ConsoleKey.BrowserStop, 0],
+    BrowserSearch: [ConsoleKey.BrowserSearch, 0],
+    BrowserFavorites: [ConsoleKey.BrowserFavorites, 0],
+    BrowserHome: [ConsoleKey.BrowserHome, 0],
+    AudioVolumeMute: [ConsoleKey.VolumeMute, 0],
+    AudioVolumeDown: [ConsoleKey.VolumeDown, 0],
+    AudioVolumeUp: [ConsoleKey.VolumeUp, 0],
+    MediaTrackNext: [ConsoleKey.MediaNext, 0],
+    MediaTrackPrevious: [ConsoleKey.MediaPrevious, 0],
+    MediaStop: [ConsoleKey.MediaStop, 0],
+    MediaPlayPause: [ConsoleKey.MediaPlay, 0],
+    LaunchMail: [ConsoleKey.LaunchMail, 0],
+    LaunchMediaPlayer: [ConsoleKey.LaunchMediaSelect, 0],
+    LaunchApplication1: [ConsoleKey.LaunchApp1, 0],
+    LaunchApplication2: [ConsoleKey.LaunchApp2, 0],
+    Process: [ConsoleKey.Process, 0],
+    Attn: [ConsoleKey.Attention, 0],
+    CrSel: [ConsoleKey.CrSel, 0],
+    ExSel: [ConsoleKey.ExSel, 0],
+    EraseEof: [ConsoleKey.EraseEndOfFile, 0],
+    Play: [ConsoleKey.Play, 0],
+    ZoomToggle: [ConsoleKey.Zoom, 0]
+};
+
+// F1-F24
+for (let i = 1; i <= 24; i++) {
+    NAMED_KEYS[`F${i}`] = [ConsoleKey[`F${i}`], 0];
+}
+
+/**
+ * Printable keys by KeyboardEvent.code (physical key position)
+ */
+const CODE_KEYS = {
+    Space: ConsoleKey.Spacebar,
+    Backquote: ConsoleKey.Oem3,
+    Minus: ConsoleKey.OemMinus,
+    Equal: ConsoleKey.OemPlus,
+    BracketLeft: ConsoleKey.Oem4,
+    BracketRight: ConsoleKey.Oem6,
+    Backslash: ConsoleKey.Oem5,
+    Semicolon: ConsoleKey.Oem1,
+    Quote: ConsoleKey.Oem7,
+    Comma: ConsoleKey.OemComma,
+    Period: ConsoleKey.OemPeriod,
+    Slash: ConsoleKey.Oem2,
+    IntlBackslash: ConsoleKey.Oem102,
+    IntlRo: ConsoleKey.Oem102,
+    IntlYen: ConsoleKey.Oem5,
+    NumpadMultiply: ConsoleKey.Multiply,
+    NumpadAdd: ConsoleKey.Add,
+    NumpadComma: ConsoleKey.Separator,
+    NumpadSubtract: ConsoleKey.Subtract,
+    NumpadDecimal: ConsoleKey.Decimal,
+    NumpadDivide: ConsoleKey.Divide,
+    NumpadEqual: ConsoleKey.OemPlus
+};
+
+// KeyA-KeyZ, Digit0-Digit9, Numpad0-Numpad9
+for (let i = 0; i < 26; i++) {
+    const letter = String.fromCharCode(65 + i);
+    CODE_KEYS[`Key${letter}`] = ConsoleKey[letter];
+}
+for (let i = 0; i <= 9; i++) {
+    CODE_KEYS[`Digit${i}`] = ConsoleKey[`D${i}`];
+    CODE_KEYS[`Numpad${i}`] = ConsoleKey[`NumPad${i}`];
+}
+
+/**
+ * Characters by the key that produces them on a US layout: [ConsoleKey, shift]
+ * Used when there is no key event to go with the text (paste, IME, mobile input).
+ * consoleKeys.test.js checks that C# InputPacketReader.CharKeys has the same entries.
+ */
+export const CHAR_KEYS = Object.freeze({
+    ' ': [ConsoleKey.Spacebar, false],
+    '\t': [ConsoleKey.Tab, false],
+    '\r': [ConsoleKey.Enter, false],
+    '\n': [ConsoleKey.Enter, false],
+    '\b': [ConsoleKey.Backspace, false],
+    '\x7f': [ConsoleKey.Backspace, false],
+    '\x1b': [ConsoleKey.Escape, false],
+    '`': [ConsoleKey.Oem3, false], '~': [ConsoleKey.Oem3, true],
+    '-': [ConsoleKey.OemMinus, false], '_': [ConsoleKey.OemMinus, true],
+    '=': [ConsoleKey.OemPlus, false], '+': [ConsoleKey.OemPlus, true],
+    '[': [ConsoleKey.Oem4, false], '{': [ConsoleKey.Oem4, true],
+    ']': [ConsoleKey.Oem6, false], '}': [ConsoleKey.Oem6, true],
+    '\\': [ConsoleKey.Oem5, false], '|': [ConsoleKey.Oem5, true],
+    ';': [ConsoleKey.Oem1, false], ':': [ConsoleKey.Oem1, true],
+    "'": [ConsoleKey.Oem7, false], '"': [ConsoleKey.Oem7, true],
+    ',': [ConsoleKey.OemComma, false], '<': [ConsoleKey.OemComma, true],
+    '.': [ConsoleKey.OemPeriod, false], '>': [ConsoleKey.OemPeriod, true],
+    '/': [ConsoleKey.Oem2, false], '?': [ConsoleKey.Oem2, true],
+    ')': [ConsoleKey.D0, true], '!': [ConsoleKey.D1, true], '@': [ConsoleKey.D2, true],
+    '#': [ConsoleKey.D3, true], '$': [ConsoleKey.D4, true], '%': [ConsoleKey.D5, true],
+    '^': [ConsoleKey.D6, true], '&': [ConsoleKey.D7, true], '*': [ConsoleKey.D8, true],
+    '(': [ConsoleKey.D9, true]
+});
+
+/**
+ * Compute the control character produced by Ctrl+key (e.g. Ctrl+A -> 0x01), or null.
+ */
+function controlChar(char) {
+    const code = char.toUpperCase().charCodeAt(0);
+    // '@', 'A'-'Z', '[', '\', ']', '^', '_'
+    if (code >= 64 && code <= 95) {
+        return code & 0x1F;
+    }
+    return null;
+}
+
+/**
+ * Whether ghostty treats the key event as printable text (it will be delivered via onData).
+ * Mirrors InputHandler.isPrintableCharacter: AltGr (Ctrl+Alt) still produces text.
+ */
+export function isPrintableKeyEvent(domEvent) {
+    if (domEvent.metaKey) return false;
+    if (domEvent.ctrlKey !== domEvent.altKey) return false;
+    return typeof domEvent.key === 'string' && domEvent.key.length === 1;
+}
+
+/**
+ * Translate a DOM KeyboardEvent to ConsoleKeyInfo fields.
+ * @param {KeyboardEvent} domEvent - The keydown event
+ * @returns {{key: number, char: number, shift: boolean, alt: boolean, ctrl: boolean} | null}
+ *          null for modifier-only keys and keys without a ConsoleKey equivalent
+ */
+export function translateKeyEvent(domEvent) {
+    const key = domEvent.key || '';
+    const code = domEvent.code || '';
+    const shift = domEvent.shiftKey || false;
+    let alt = domEvent.altKey || false;
+    let ctrl = domEvent.ctrlKey || false;
+
+    // Named (non-printable) keys. Numpad keys with NumLock off also land here (e.g. Numpad8 -> ArrowUp).
+    const named = NAMED_KEYS[key];
+    if (named) {
+        return { key: named[0], char: named[1], shift, alt, ctrl };
+    }
+
+    if ([...key].length !== 1) {
+        // Modifier-only (Shift, Control, ...), dead keys and unknown named keys
+        return null;
+    }
+
+    // AltGr on Windows reports Ctrl+Alt - the key produced text, so drop the modifiers
+    if (ctrl && alt && !isControlCombination(domEvent)) {
+        ctrl = false;
+        alt = false;
+    }
+
+    const consoleKey = CODE_KEYS[code] ?? translateChar(key).key;
+    let char = key.codePointAt(0);
+
+    if (ctrl && !alt) {
+        // Ctrl+letter produces the C0 control character, as on a real console
+        const control = controlChar(key);
+        char = control ?? 0;
+    }
+
+    return { key: consoleKey, char, shift, alt, ctrl };
+}
+
+/**
+ * Ctrl+Alt combos that are real shortcuts rather than AltGr text (the key is an unshifted ASCII letter).
+ */
+function isControlCombination(domEvent) {
+    return /^[a-zA-Z]$/.test(domEvent.key) && domEvent.code === `Key${domEvent.key.toUpperCase()}`;
+}
+
+/**
+ * Translate a single character (not from a key press) to ConsoleKeyInfo fields.
+ * char is a code point, so characters outside the BMP (emoji, rare CJK) are kept whole.
+ * @param {string} char - A single character (one code point)
+ * @returns {{key: number, char: number, shift: boolean, alt: boolean, ctrl: boolean}}
+ */
+export function translateChar(char) {
+    const code = char.codePointAt(0);
+
+    if (char >= 'a' && char <= 'z') {
+        return { key: ConsoleKey.A + (code - 97), char: code, shift: false, alt: false, ctrl: false };
+    }
+    if (char >= 'A' && char <= 'Z') {
+        return { key: ConsoleKey.A + (code - 65), char: code, shift: true, alt: false, ctrl: false };
+    }
+    if (char >= '0' && char <= '9') {
+        return { key: ConsoleKey.D0 + (code - 48), char: code, shift: false, alt: false, ctrl: false };
+    }
+
+    const mapped = CHAR_KEYS[char];
+    if (mapped) {
+        const [key, shift] = mapped;
+        const keyChar = key === ConsoleKey.Enter ? 13 : key === ConsoleKey.Backspace ? 8 : code;
+        return { key, char: keyChar, shift, alt: false, ctrl: false };
+    }
+
+    // Remaining C0 control characters are Ctrl+letter (0x01 = Ctrl+A)
+    if (code >= 1 && code <= 26) {
+        return { key: ConsoleKey.A + code - 1, char: code, shift: false, alt: false, ctrl: true };
+    }
+
+    return { key: ConsoleKey.NoName, char: code, shift: false, alt: false, ctrl: false };
+}
+
+export default { ConsoleKey, CHAR_KEYS, translateKeyEvent, translateChar, isPrintableKeyEvent };
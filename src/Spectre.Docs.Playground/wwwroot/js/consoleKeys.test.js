@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { ConsoleKey, CHAR_KEYS, translateChar } from './consoleKeys.js';
+
+const CSHARP_ESCAPES = { t: '\t', r: '\r', n: '\n', b: '\b', e: '\x1b', '\\': '\\', "'": "'", '"': '"', '0': '\0' };
+
+function parseCSharpChar(literal) {
+    if (!literal.startsWith('\\')) {
+        return literal;
+    }
+    if (literal[1] === 'x' || literal[1] === 'u') {
+        return String.fromCharCode(parseInt(literal.slice(2), 16));
+    }
+    return CSHARP_ESCAPES[literal[1]];
+}
+
+/**
+ * Read the CharKeys table of C# InputPacketReader as [char, [ConsoleKey, shift]] entries.
+ */
+function readCSharpCharKeys() {
+    const source = readFileSync(new URL('../../Services/SharedRingBuffer.cs', import.meta.url), 'utf8');
+    const table = source.match(/Dictionary<char, \(ConsoleKey Key, bool Shift\)> CharKeys = new\(\)\s*\{([\s\S]*?)\n\s*\};/);
+    assert.ok(table, 'InputPacketReader.CharKeys not found in SharedRingBuffer.cs');
+
+    const entries = [...table[1].matchAll(/\['((?:\\x[0-9a-fA-F]+|\\.|[^\\']))'\] = \(ConsoleKey\.(\w+), (true|false)\)/g)]
+        .map(([, literal, key, shift]) => {
+            assert.ok(key in ConsoleKey, `Unknown ConsoleKey.${key}`);
+            return [parseCSharpChar(literal), [ConsoleKey[key], shift === 'true']];
+        });
+
+    // Every entry must have been understood, or a new one could slip past the comparison
+    assert.equal(entries.length, (table[1].match(/\] = \(/g) ?? []).length);
+    return entries;
+}
+
+describe('CHAR_KEYS', () => {
+    it('matches CharKeys in C# InputPacketReader', () => {
+        const csharp = Object.fromEntries(readCSharpCharKeys());
+        assert.deepEqual(csharp, { ...CHAR_KEYS });
+    });
+});
+
+describe('translateChar', () => {
+    it('types letters and digits with their own keys', () => {
+        assert.deepEqual(translateChar('a'), { key: ConsoleKey.A, char: 97, shift: false, alt: false, ctrl: false });
+        assert.deepEqual(translateChar('Z'), { key: ConsoleKey.Z, char: 90, shift: true, alt: false, ctrl: false });
+        assert.deepEqual(translateChar('7'), { key: ConsoleKey.D7, char: 55, shift: false, alt: false, ctrl: false });
+    });
+
+    it('types punctuation with the key that produces it', () => {
+        assert.deepEqual(translateChar('?'), { key: ConsoleKey.Oem2, char: 63, shift: true, alt: false, ctrl: false });
+        assert.deepEqual(translateChar('('), { key: ConsoleKey.D9, char: 40, shift: true, alt: false, ctrl: false });
+    });
+
+    it('sends Enter and Backspace with their console characters', () => {
+        assert.equal(translateChar('\n').char, 13);
+        assert.equal(translateChar('\x7f').char, 8);
+    });
+
+    it('types other control characters as Ctrl+letter', () => {
+        assert.deepEqual(translateChar('\x01'), { key: ConsoleKey.A, char: 1, shift: false, alt: false, ctrl: true });
+    });
+
+    it('keeps characters outside the BMP whole', () => {
+        assert.deepEqual(translateChar('😀'), { key: ConsoleKey.NoName, char: 0x1F600, shift: false, alt: false, ctrl: false });
+    });
+});
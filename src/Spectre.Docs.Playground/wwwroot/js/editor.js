@@ -1,7 +1,63 @@
+// The built-in themes, plus colours for the semantic tokens Roslyn classifies (VS Code's Light+ and Dark+ colours)
+const LIGHT_THEME = 'playground-light';
+const DARK_THEME = 'playground-dark';
+
+function getMonacoTheme(isDark) {
+    if (typeof monaco === 'undefined') {
+        return isDark ? 'vs-dark' : 'vs';
+    }
+
+    if (!getMonacoTheme.defined) {
+        getMonacoTheme.defined = true;
+        monaco.editor.defineTheme(LIGHT_THEME, {
+            base: 'vs',
+            inherit: true,
+            colors: {},
+            rules: [
+                { token: 'namespace', foreground: '267F99' },
+                { token: 'class', foreground: '267F99' },
+                { token: 'struct', foreground: '267F99' },
+                { token: 'interface', foreground: '267F99' },
+                { token: 'enum', foreground: '267F99' },
+                { token: 'typeParameter', foreground: '267F99' },
+                { token: 'enumMember', foreground: '0070C1' },
+                { token: 'method', foreground: '795E26' },
+                { token: 'property', foreground: '001080' },
+                { token: 'event', foreground: '001080' },
+                { token: 'field', foreground: '001080' },
+                { token: 'parameter', foreground: '001080' },
+                { token: 'variable', foreground: '001080' }
+            ]
+        });
+        monaco.editor.defineTheme(DARK_THEME, {
+            base: 'vs-dark',
+            inherit: true,
+            colors: {},
+            rules: [
+                { token: 'namespace', foreground: '4EC9B0' },
+                { token: 'class', foreground: '4EC9B0' },
+                { token: 'struct', foreground: '86C691' },
+                { token: 'interface', foreground: 'B8D7A3' },
+                { token: 'enum', foreground: 'B8D7A3' },
+                { token: 'typeParameter', foreground: 'B8D7A3' },
+                { token: 'enumMember', foreground: '4FC1FF' },
+                { token: 'method', foreground: 'DCDCAA' },
+                { token: 'property', foreground: '9CDCFE' },
+                { token: 'event', foreground: '9CDCFE' },
+                { token: 'field', foreground: '9CDCFE' },
+                { token: 'parameter', foreground: '9CDCFE' },
+                { token: 'variable', foreground: '9CDCFE' }
+            ]
+        });
+    }
+
+    return isDark ? DARK_THEME : LIGHT_THEME;
+}
+
 // Theme update function for Monaco
 window.updateMonacoTheme = function(isDark) {
     if (typeof monaco !== 'undefined') {
-        monaco.editor.setTheme(isDark ? 'vs-dark' : 'vs');
+        monaco.editor.setTheme(getMonacoTheme(isDark));
     }
 };
 
@@ -9,26 +65,234 @@ window.updateMonacoTheme = function(isDark) {
 window.initializeMonacoTheme = function() {
     if (typeof monaco !== 'undefined') {
         const isDark = document.documentElement.classList.contains('dark');
-        monaco.editor.setTheme(isDark ? 'vs-dark' : 'vs');
+        monaco.editor.setTheme(getMonacoTheme(isDark));
     }
 };
 
 // Get current theme for Blazor component initialization
 window.getCurrentMonacoTheme = function() {
     const isDark = document.documentElement.classList.contains('dark');
-    return isDark ? 'vs-dark' : 'vs';
+    return getMonacoTheme(isDark);
 };
 
-// Editor completion and hover provider for Monaco
+// Marker owner for Roslyn diagnostics
+const DIAGNOSTICS_OWNER = 'roslyn';
+// Marker owner for the warnings about Spectre markup in string literals
+const MARKUP_OWNER = 'markup';
+// Diagnostics are refreshed once typing has paused for this long
+const DIAGNOSTICS_DELAY_MS = 600;
+// Semantic token legend; the indices must match SemanticTokensService.TokenTypes
+const SEMANTIC_TOKEN_TYPES = [
+    'namespace', 'class', 'struct', 'interface', 'enum', 'enumMember', 'typeParameter',
+    'method', 'property', 'event', 'field', 'parameter', 'variable'
+];
+const SEMANTIC_TOKEN_MODIFIERS = ['static'];
+// URI scheme of the read-only documents generated from reference assemblies (MetadataAsSource)
+const METADATA_SCHEME = 'metadata';
+
+// Editor completion, hover, signature help, definition, formatting, code action, semantic token and markup providers for Monaco, the project's files and their diagnostics
 window.EditorInterop = {
     dotNetHelper: null,
+    editor: null,
     completionProviderDisposable: null,
     hoverProviderDisposable: null,
+    signatureHelpProviderDisposable: null,
+    definitionProviderDisposable: null,
+    formattingProviderDisposables: [],
+    codeActionProviderDisposable: null,
+    semanticTokensProviderDisposable: null,
+    markupProviderDisposables: [],
+    editorOpenerDisposable: null,
+    modelChangeDisposable: null,
+    // Project files by name, each with its own Monaco model
+    files: new Map(),
+    // Read-only metadata documents by URI: { model, title }
+    metadata: new Map(),
+    diagnosticsTimer: null,
 
-    initialize: function(dotNetHelper) {
+    initialize: function(dotNetHelper, editorId) {
         this.dotNetHelper = dotNetHelper;
+        this.editor = monaco.editor.getEditors().find(editor => editor.getContainerDomNode().id === editorId) || null;
         this.registerCompletionProvider();
         this.registerHoverProvider();
+        this.registerSignatureHelpProvider();
+        this.registerDefinitionProvider();
+        this.registerFormattingProviders();
+        this.registerCodeActionProvider();
+        this.registerSemanticTokensProvider();
+        this.registerMarkupProviders();
+        this.registerEditorOpener();
+
+        // Metadata documents can be read but not edited
+        if (this.editor) {
+            this.editor.updateOptions({ 'semanticHighlighting.enabled': true });
+            this.modelChangeDisposable = this.editor.onDidChangeModel(e => {
+                this.editor.updateOptions({ readOnly: e.newModelUrl?.scheme === METADATA_SCHEME });
+            });
+        }
+    },
+
+    /**
+     * Create the model for a project file, replacing any file with that name.
+     * @returns {string} The model's URI, for switching the editor to it
+     */
+    createFile: function(name, code) {
+        this.deleteFile(name);
+        const model = monaco.editor.createModel(code, 'csharp', monaco.Uri.from({ scheme: 'file', path: '/' + name }));
+        model.onDidChangeContent(() => this.scheduleDiagnostics());
+        this.files.set(name, model);
+        this.scheduleDiagnostics();
+        return model.uri.toString();
+    },
+
+    /**
+     * Rename a project file. A model's URI can't change, so the file moves to a new model.
+     * @returns {string|null} The new model's URI, or null if there is no such file
+     */
+    renameFile: function(oldName, newName) {
+        const model = this.files.get(oldName);
+        if (!model) {
+            return null;
+        }
+
+        const uri = this.createFile(newName, model.getValue());
+        this.deleteFile(oldName);
+        return uri;
+    },
+
+    deleteFile: function(name) {
+        const model = this.files.get(name);
+        if (model) {
+            this.files.delete(name);
+            monaco.editor.setModelMarkers(model, MARKUP_OWNER, []);
+            model.dispose();
+            this.scheduleDiagnostics();
+        }
+    },
+
+    deleteAllFiles: function() {
+        for (const name of Array.from(this.files.keys())) {
+            this.deleteFile(name);
+        }
+    },
+
+    /**
+     * The current contents of every project file: [{ name, code }]
+     */
+    getFiles: function() {
+        return Array.from(this.files, ([name, model]) => ({ name: name, code: model.getValue() }));
+    },
+
+    /**
+     * Show Roslyn diagnostics as markers (squiggles) in the files they belong to.
+     * @param {Array<{id: string, severity: number, message: string, fileName: string|null,
+     *         startLine: number, startColumn: number, endLine: number, endColumn: number}>} diagnostics
+     *         severity is a monaco.MarkerSeverity; positions are 1-based
+     */
+    setDiagnostics: function(diagnostics) {
+        const markers = new Map();
+        for (const diagnostic of diagnostics) {
+            if (!diagnostic.fileName) {
+                continue;
+            }
+
+            // An empty span (e.g. a missing semicolon) still gets a visible squiggle
+            const isEmpty = diagnostic.startLine === diagnostic.endLine && diagnostic.startColumn === diagnostic.endColumn;
+            const fileMarkers = markers.get(diagnostic.fileName) || [];
+            fileMarkers.push({
+                severity: diagnostic.severity,
+                message: diagnostic.message,
+                code: diagnostic.id,
+                source: 'C#',
+                startLineNumber: diagnostic.startLine,
+                startColumn: diagnostic.startColumn,
+                endLineNumber: diagnostic.endLine,
+                endColumn: isEmpty ? diagnostic.endColumn + 1 : diagnostic.endColumn
+            });
+            markers.set(diagnostic.fileName, fileMarkers);
+        }
+
+        for (const [name, model] of this.files) {
+            monaco.editor.setModelMarkers(model, DIAGNOSTICS_OWNER, markers.get(name) || []);
+        }
+    },
+
+    /**
+     * Show the problems in Spectre markup strings as warnings, next to the diagnostics.
+     * @param {Object<string, Array<{message: string, startLine: number, startColumn: number,
+     *         endLine: number, endColumn: number}>>} warningsByFile - Warnings by file name; positions are 1-based
+     */
+    setMarkupWarnings: function(warningsByFile) {
+        for (const [name, model] of this.files) {
+            const warnings = warningsByFile[name] || [];
+            monaco.editor.setModelMarkers(model, MARKUP_OWNER, warnings.map(warning => ({
+                severity: monaco.MarkerSeverity.Warning,
+                message: warning.message,
+                source: 'Spectre markup',
+                startLineNumber: warning.startLine,
+                startColumn: warning.startColumn,
+                endLineNumber: warning.endLine,
+                endColumn: warning.endColumn
+            })));
+        }
+    },
+
+    /**
+     * Ask C# for fresh diagnostics once typing has paused. Does nothing once the editor is disposed.
+     */
+    scheduleDiagnostics: function() {
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+        if (!this.dotNetHelper) {
+            return;
+        }
+
+        this.diagnosticsTimer = setTimeout(() => {
+            this.diagnosticsTimer = null;
+            this.dotNetHelper?.invokeMethodAsync('RefreshDiagnostics', this.getFiles())
+                .catch(error => console.error('Diagnostics error:', error));
+        }, DIAGNOSTICS_DELAY_MS);
+    },
+
+    /**
+     * Move the cursor to a position in the file shown in the editor and focus it.
+     */
+    revealPosition: function(lineNumber, column) {
+        if (!this.editor) {
+            return;
+        }
+
+        const position = { lineNumber: lineNumber, column: column };
+        this.editor.setPosition(position);
+        this.editor.revealPositionInCenterIfOutsideViewport(position);
+        this.editor.focus();
+    },
+
+    /**
+     * Get the model of a read-only metadata document, creating it with the given text the first time.
+     * Its text only depends on the URI, so an existing model is reused.
+     */
+    getMetadataModel: function(uri, title, text) {
+        const existing = this.metadata.get(uri);
+        if (existing) {
+            return existing.model;
+        }
+
+        const model = monaco.editor.createModel(text, 'csharp', monaco.Uri.parse(uri));
+        this.metadata.set(uri, { model: model, title: title });
+        return model;
+    },
+
+    /**
+     * The name of the project file a model belongs to, or null for any other model.
+     */
+    getFileName: function(model) {
+        for (const [name, fileModel] of this.files) {
+            if (fileModel === model) {
+                return name;
+            }
+        }
+        return null;
     },
 
     registerCompletionProvider: function() {
@@ -42,18 +306,20 @@ window.EditorInterop = {
             triggerCharacters: ['.', ' ', '(', '<', '[', '"'],
 
             provideCompletionItems: async function(model, position, context, token) {
-                if (!self.dotNetHelper) {
+                const fileName = self.getFileName(model);
+                if (!self.dotNetHelper || !fileName) {
                     return { suggestions: [] };
                 }
 
                 try {
-                    const code = model.getValue();
                     const lineNumber = position.lineNumber;
                     const column = position.column;
 
+                    // The whole project, so types declared in other files complete too
                     const completions = await self.dotNetHelper.invokeMethodAsync(
                         'GetCompletions',
-                        code,
+                        self.getFiles(),
+                        fileName,
                         lineNumber,
                         column
                     );
@@ -99,18 +365,19 @@ window.EditorInterop = {
 
         this.hoverProviderDisposable = monaco.languages.registerHoverProvider('csharp', {
             provideHover: async function(model, position, token) {
-                if (!self.dotNetHelper) {
+                const fileName = self.getFileName(model);
+                if (!self.dotNetHelper || !fileName) {
                     return null;
                 }
 
                 try {
-                    const code = model.getValue();
                     const lineNumber = position.lineNumber;
                     const column = position.column;
 
                     const hoverData = await self.dotNetHelper.invokeMethodAsync(
                         'GetHover',
-                        code,
+                        self.getFiles(),
+                        fileName,
                         lineNumber,
                         column
                     );
@@ -138,6 +405,502 @@ window.EditorInterop = {
         });
     },
 
+    registerSignatureHelpProvider: function() {
+        if (this.signatureHelpProviderDisposable) {
+            this.signatureHelpProviderDisposable.dispose();
+        }
+
+        const self = this;
+
+        this.signatureHelpProviderDisposable = monaco.languages.registerSignatureHelpProvider('csharp', {
+            signatureHelpTriggerCharacters: ['(', ','],
+            signatureHelpRetriggerCharacters: [')'],
+
+            provideSignatureHelp: async function(model, position, token, context) {
+                const fileName = self.getFileName(model);
+                if (!self.dotNetHelper || !fileName) {
+                    return null;
+                }
+
+                try {
+                    const help = await self.dotNetHelper.invokeMethodAsync(
+                        'GetSignatureHelp',
+                        self.getFiles(),
+                        fileName,
+                        position.lineNumber,
+                        position.column
+                    );
+
+                    if (!help || !help.signatures || help.signatures.length === 0) {
+                        return null;
+                    }
+
+                    const signatures = help.signatures.map(function(signature) {
+                        return {
+                            label: signature.label,
+                            documentation: signature.documentation ? { value: signature.documentation } : undefined,
+                            activeParameter: signature.activeParameter,
+                            parameters: signature.parameters.map(function(parameter) {
+                                return {
+                                    label: [parameter.start, parameter.end],
+                                    documentation: parameter.documentation ? { value: parameter.documentation } : undefined
+                                };
+                            })
+                        };
+                    });
+
+                    // Keep the overload the user picked with the arrow keys while they type
+                    const previous = context.activeSignatureHelp;
+                    const activeSignature = context.isRetrigger && previous &&
+                        previous.signatures.length === signatures.length &&
+                        previous.activeSignature < signatures.length
+                        ? previous.activeSignature
+                        : help.activeSignature;
+
+                    return {
+                        value: {
+                            signatures: signatures,
+                            activeSignature: activeSignature,
+                            activeParameter: signatures[activeSignature].activeParameter
+                        },
+                        dispose: function() {}
+                    };
+                } catch (error) {
+                    console.error('Signature help error:', error);
+                    return null;
+                }
+            }
+        });
+    },
+
+    registerDefinitionProvider: function() {
+        if (this.definitionProviderDisposable) {
+            this.definitionProviderDisposable.dispose();
+        }
+
+        const self = this;
+
+        this.definitionProviderDisposable = monaco.languages.registerDefinitionProvider('csharp', {
+            provideDefinition: async function(model, position, token) {
+                const fileName = self.getFileName(model);
+                if (!self.dotNetHelper || !fileName) {
+                    return null;
+                }
+
+                try {
+                    const definitions = await self.dotNetHelper.invokeMethodAsync(
+                        'GetDefinitions',
+                        self.getFiles(),
+                        fileName,
+                        position.lineNumber,
+                        position.column
+                    );
+
+                    if (!definitions || definitions.length === 0) {
+                        return null;
+                    }
+
+                    const locations = [];
+                    for (const definition of definitions) {
+                        // A project file, or a generated read-only document
+                        const target = definition.fileName
+                            ? self.files.get(definition.fileName)
+                            : self.getMetadataModel(definition.uri, definition.title, definition.text);
+                        if (!target) {
+                            continue;
+                        }
+
+                        locations.push({
+                            uri: target.uri,
+                            range: {
+                                startLineNumber: definition.startLine,
+                                startColumn: definition.startColumn,
+                                endLineNumber: definition.endLine,
+                                endColumn: definition.endColumn
+                            }
+                        });
+                    }
+
+                    return locations;
+                } catch (error) {
+                    console.error('Definition error:', error);
+                    return null;
+                }
+            }
+        });
+    },
+
+    /**
+     * Go to definition in another model: the standalone editor can't switch models by itself,
+     * so C# shows the file's tab (or opens a read-only tab for a metadata document) and the
+     * definition is revealed there.
+     */
+    registerEditorOpener: function() {
+        if (this.editorOpenerDisposable) {
+            this.editorOpenerDisposable.dispose();
+        }
+        if (typeof monaco.editor.registerEditorOpener !== 'function') {
+            return;
+        }
+
+        const self = this;
+
+        this.editorOpenerDisposable = monaco.editor.registerEditorOpener({
+            openCodeEditor: async function(source, resource, selectionOrPosition) {
+                const uri = resource.toString();
+                const fileName = self.getFileName(monaco.editor.getModel(resource));
+                const metadata = self.metadata.get(uri);
+                if (!self.dotNetHelper || !self.editor || (!fileName && !metadata)) {
+                    return false;
+                }
+
+                try {
+                    await self.dotNetHelper.invokeMethodAsync('OpenDocument', fileName, fileName ? null : uri, metadata?.title ?? null);
+                } catch (error) {
+                    console.error('Open document error:', error);
+                    return false;
+                }
+
+                if (selectionOrPosition) {
+                    if (monaco.Range.isIRange(selectionOrPosition)) {
+                        self.editor.setSelection(selectionOrPosition);
+                        self.editor.revealRangeInCenterIfOutsideViewport(selectionOrPosition);
+                    } else {
+                        self.editor.setPosition(selectionOrPosition);
+                        self.editor.revealPositionInCenterIfOutsideViewport(selectionOrPosition);
+                    }
+                }
+                self.editor.focus();
+                return true;
+            }
+        });
+    },
+
+    /**
+     * Document, range and on-type formatting with Roslyn's formatter.
+     */
+    registerFormattingProviders: function() {
+        for (const disposable of this.formattingProviderDisposables) {
+            disposable.dispose();
+        }
+
+        const self = this;
+
+        const toEdits = function(edits) {
+            return (edits || []).map(function(edit) {
+                return {
+                    range: {
+                        startLineNumber: edit.startLine,
+                        startColumn: edit.startColumn,
+                        endLineNumber: edit.endLine,
+                        endColumn: edit.endColumn
+                    },
+                    text: edit.text
+                };
+            });
+        };
+
+        const formatRange = async function(model, range) {
+            const fileName = self.getFileName(model);
+            if (!self.dotNetHelper || !fileName) {
+                return [];
+            }
+
+            try {
+                const edits = await self.dotNetHelper.invokeMethodAsync(
+                    'GetFormattingEdits',
+                    self.getFiles(),
+                    fileName,
+                    range.startLineNumber,
+                    range.startColumn,
+                    range.endLineNumber,
+                    range.endColumn
+                );
+                return toEdits(edits);
+            } catch (error) {
+                console.error('Formatting error:', error);
+                return [];
+            }
+        };
+
+        this.formattingProviderDisposables = [
+            monaco.languages.registerDocumentFormattingEditProvider('csharp', {
+                provideDocumentFormattingEdits: function(model, options, token) {
+                    return formatRange(model, model.getFullModelRange());
+                }
+            }),
+
+            monaco.languages.registerDocumentRangeFormattingEditProvider('csharp', {
+                provideDocumentRangeFormattingEdits: function(model, range, options, token) {
+                    return formatRange(model, range);
+                }
+            }),
+
+            monaco.languages.registerOnTypeFormattingEditProvider('csharp', {
+                autoFormatTriggerCharacters: [';', '}'],
+
+                provideOnTypeFormattingEdits: async function(model, position, ch, options, token) {
+                    const fileName = self.getFileName(model);
+                    if (!self.dotNetHelper || !fileName) {
+                        return [];
+                    }
+
+                    try {
+                        const edits = await self.dotNetHelper.invokeMethodAsync(
+                            'GetOnTypeFormattingEdits',
+                            self.getFiles(),
+                            fileName,
+                            position.lineNumber,
+                            position.column,
+                            ch
+                        );
+                        return toEdits(edits);
+                    } catch (error) {
+                        console.error('On-type formatting error:', error);
+                        return [];
+                    }
+                }
+            })
+        ];
+    },
+
+    /**
+     * Roslyn code fixes for the diagnostics under the cursor, and refactorings, as quick actions (the lightbulb and Ctrl+.).
+     */
+    registerCodeActionProvider: function() {
+        if (this.codeActionProviderDisposable) {
+            this.codeActionProviderDisposable.dispose();
+        }
+
+        const self = this;
+
+        this.codeActionProviderDisposable = monaco.languages.registerCodeActionProvider('csharp', {
+            provideCodeActions: async function(model, range, context, token) {
+                const fileName = self.getFileName(model);
+                const empty = { actions: [], dispose: function() {} };
+                if (!self.dotNetHelper || !fileName) {
+                    return empty;
+                }
+
+                // Refactorings take a while to compute, so the lightbulb that follows the cursor only offers
+                // fixes for the markers there; asking for actions (Ctrl+., clicking the lightbulb) offers both
+                const invoked = context.trigger === monaco.languages.CodeActionTriggerType.Invoke;
+                const markers = context.markers;
+                if (!invoked && markers.length === 0) {
+                    return empty;
+                }
+
+                // The edits apply to the files as they are now; an edit to a file changed since is rejected
+                const versions = new Map(Array.from(self.files, ([name, fileModel]) => [name, fileModel.getVersionId()]));
+
+                try {
+                    const actions = await self.dotNetHelper.invokeMethodAsync(
+                        'GetCodeActions',
+                        self.getFiles(),
+                        fileName,
+                        range.startLineNumber,
+                        range.startColumn,
+                        range.endLineNumber,
+                        range.endColumn,
+                        invoked
+                    );
+
+                    if (!actions || actions.length === 0) {
+                        return empty;
+                    }
+
+                    return {
+                        actions: actions.map(function(action) {
+                            const edits = [];
+                            for (const fileEdit of action.edits) {
+                                const target = self.files.get(fileEdit.fileName);
+                                if (!target) {
+                                    continue;
+                                }
+                                for (const edit of fileEdit.edits) {
+                                    edits.push({
+                                        resource: target.uri,
+                                        versionId: versions.get(fileEdit.fileName),
+                                        textEdit: {
+                                            range: {
+                                                startLineNumber: edit.startLine,
+                                                startColumn: edit.startColumn,
+                                                endLineNumber: edit.endLine,
+                                                endColumn: edit.endColumn
+                                            },
+                                            text: edit.text
+                                        }
+                                    });
+                                }
+                            }
+
+                            return {
+                                title: action.title,
+                                kind: action.kind,
+                                isPreferred: action.isPreferred,
+                                diagnostics: markers.filter(marker =>
+                                    (marker.code?.value ?? marker.code) === action.diagnosticId),
+                                edit: { edits: edits }
+                            };
+                        }),
+                        dispose: function() {}
+                    };
+                } catch (error) {
+                    console.error('Code action error:', error);
+                    return empty;
+                }
+            }
+        }, {
+            providedCodeActionKinds: ['quickfix', 'refactor']
+        });
+    },
+
+    /**
+     * Colour identifiers by what Roslyn classifies them as: types, methods, properties, enum members...
+     */
+    registerSemanticTokensProvider: function() {
+        if (this.semanticTokensProviderDisposable) {
+            this.semanticTokensProviderDisposable.dispose();
+        }
+
+        const self = this;
+
+        this.semanticTokensProviderDisposable = monaco.languages.registerDocumentSemanticTokensProvider('csharp', {
+            getLegend: function() {
+                return { tokenTypes: SEMANTIC_TOKEN_TYPES, tokenModifiers: SEMANTIC_TOKEN_MODIFIERS };
+            },
+
+            provideDocumentSemanticTokens: async function(model, lastResultId, token) {
+                const fileName = self.getFileName(model);
+                if (!self.dotNetHelper || !fileName) {
+                    return null;
+                }
+
+                try {
+                    const data = await self.dotNetHelper.invokeMethodAsync(
+                        'GetSemanticTokens',
+                        self.getFiles(),
+                        fileName
+                    );
+                    return { data: new Uint32Array(data || []) };
+                } catch (error) {
+                    console.error('Semantic tokens error:', error);
+                    return null;
+                }
+            },
+
+            releaseDocumentSemanticTokens: function(resultId) {}
+        });
+    },
+
+    /**
+     * Spectre markup in string literals passed to Spectre.Console: completion of colours, styles and
+     * emoji shortcodes, and colour swatches. Its warnings come with the diagnostics (setMarkupWarnings).
+     */
+    registerMarkupProviders: function() {
+        for (const disposable of this.markupProviderDisposables) {
+            disposable.dispose();
+        }
+
+        const self = this;
+
+        const toHex = function(value) {
+            return Math.round(value * 255).toString(16).padStart(2, '0');
+        };
+
+        this.markupProviderDisposables = [
+            monaco.languages.registerCompletionItemProvider('csharp', {
+                triggerCharacters: ['[', ' ', ':'],
+
+                provideCompletionItems: async function(model, position, context, token) {
+                    const fileName = self.getFileName(model);
+                    if (!self.dotNetHelper || !fileName) {
+                        return { suggestions: [] };
+                    }
+
+                    try {
+                        const completions = await self.dotNetHelper.invokeMethodAsync(
+                            'GetMarkupCompletions',
+                            self.getFiles(),
+                            fileName,
+                            position.lineNumber,
+                            position.column
+                        );
+
+                        if (!completions || completions.items.length === 0) {
+                            return { suggestions: [] };
+                        }
+
+                        const range = {
+                            startLineNumber: completions.startLine,
+                            startColumn: completions.startColumn,
+                            endLineNumber: completions.endLine,
+                            endColumn: completions.endColumn
+                        };
+
+                        return {
+                            suggestions: completions.items.map(function(item) {
+                                return {
+                                    label: item.label,
+                                    kind: item.kind,
+                                    insertText: item.insertText || item.label,
+                                    detail: item.detail || '',
+                                    documentation: item.documentation || undefined,
+                                    sortText: item.sortText || item.label,
+                                    range: range
+                                };
+                            })
+                        };
+                    } catch (error) {
+                        console.error('Markup completion error:', error);
+                        return { suggestions: [] };
+                    }
+                }
+            }),
+
+            monaco.languages.registerColorProvider('csharp', {
+                provideDocumentColors: async function(model, token) {
+                    const fileName = self.getFileName(model);
+                    if (!self.dotNetHelper || !fileName) {
+                        return [];
+                    }
+
+                    try {
+                        const analysis = await self.dotNetHelper.invokeMethodAsync(
+                            'AnalyzeMarkup',
+                            self.getFiles(),
+                            fileName
+                        );
+                        if (!analysis || model.isDisposed()) {
+                            return [];
+                        }
+
+                        return analysis.colors.map(function(color) {
+                            return {
+                                color: { red: color.red / 255, green: color.green / 255, blue: color.blue / 255, alpha: 1 },
+                                range: {
+                                    startLineNumber: color.startLine,
+                                    startColumn: color.startColumn,
+                                    endLineNumber: color.endLine,
+                                    endColumn: color.endColumn
+                                }
+                            };
+                        });
+                    } catch (error) {
+                        console.error('Markup analysis error:', error);
+                        return [];
+                    }
+                },
+
+                // Markup takes hex colours, so a colour picked in the swatch's picker is written as one
+                provideColorPresentations: function(model, colorInfo, token) {
+                    const color = colorInfo.color;
+                    return [{ label: '#' + toHex(color.red) + toHex(color.green) + toHex(color.blue) }];
+                }
+            })
+        ];
+    },
+
     dispose: function() {
         if (this.completionProviderDisposable) {
             this.completionProviderDisposable.dispose();
@@ -147,6 +910,47 @@ window.EditorInterop = {
             this.hoverProviderDisposable.dispose();
             this.hoverProviderDisposable = null;
         }
+        if (this.signatureHelpProviderDisposable) {
+            this.signatureHelpProviderDisposable.dispose();
+            this.signatureHelpProviderDisposable = null;
+        }
+        if (this.definitionProviderDisposable) {
+            this.definitionProviderDisposable.dispose();
+            this.definitionProviderDisposable = null;
+        }
+        for (const disposable of this.formattingProviderDisposables) {
+            disposable.dispose();
+        }
+        this.formattingProviderDisposables = [];
+        if (this.codeActionProviderDisposable) {
+            this.codeActionProviderDisposable.dispose();
+            this.codeActionProviderDisposable = null;
+        }
+        if (this.semanticTokensProviderDisposable) {
+            this.semanticTokensProviderDisposable.dispose();
+            this.semanticTokensProviderDisposable = null;
+        }
+        for (const disposable of this.markupProviderDisposables) {
+            disposable.dispose();
+        }
+        this.markupProviderDisposables = [];
+        if (this.editorOpenerDisposable) {
+            this.editorOpenerDisposable.dispose();
+            this.editorOpenerDisposable = null;
+        }
+        if (this.modelChangeDisposable) {
+            this.modelChangeDisposable.dispose();
+            this.modelChangeDisposable = null;
+        }
+        // Clear the helper first, so removing the files arms no diagnostics timer
         this.dotNetHelper = null;
+        this.deleteAllFiles();
+        clearTimeout(this.diagnosticsTimer);
+        this.diagnosticsTimer = null;
+        for (const { model } of this.metadata.values()) {
+            model.dispose();
+        }
+        this.metadata.clear();
+        this.editor = null;
     }
 };
@@ -0,0 +1,121 @@
+/**
+ * Output pump worker for Spectre.Console Playground.
+ * Drains the C# output ring buffer off the main thread so output keeps flowing while the
+ * tab is in the background or the main thread is busy rendering.
+ *
+ * The worker receives the WASM heap's SharedArrayBuffer and the output ring's pointer, polls the
+ * ring's indices on a short timer, and posts decoded text to the main thread in batches.
+ * It is loaded as a module worker so it shares the ring buffer implementation with the main thread.
+ *
+ * Messages from the main thread:
+ * - { type: 'start', buffer, ptr, size }  Start draining the ring at ptr in buffer
+ * - { type: 'ack', bytes, generation }    The main thread has written a batch to the terminal
+ * - { type: 'pause' } / { type: 'resume' }  Leave output in the ring (e.g. while replaying)
+ * - { type: 'reset', generation }         The ring was cleared; drop partial characters
+ * - { type: 'stop' }                      Stop draining
+ *
+ * Messages to the main thread:
+ * - { type: 'output', text, bytes, generation }
+ */
+
+import { RingBuffer } from './ringbuffer.js';
+
+// How often an empty or paused ring is checked again. C# bumps the signal word with
+// Interlocked.Increment, which never calls Atomics.notify, so there is nothing to wait on;
+// the interval bounds the latency of a single small write.
+const POLL_INTERVAL_MS = 4;
+// Upper bound on one batch, so a writer that keeps the ring busy still gets output on screen
+const BATCH_WINDOW_MS = 4;
+const MAX_BATCH_BYTES = 256 * 1024;
+// Stop draining while this much posted output is still waiting to be written to the terminal;
+// the ring then fills up and the C# writer waits instead of the main thread's queue growing
+const MAX_IN_FLIGHT_BYTES = 1024 * 1024;
+
+let ring = null;
+let decoder = new TextDecoder();
+let generation = 0;
+let inFlight = 0;
+let paused = false;
+let running = false;
+// Ends the current poll interval early when a message changes the pump state
+let wake = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+    switch (message.type) {
+        case 'start':
+            ring = new RingBuffer(message.buffer, message.ptr, message.size);
+            if (!running) {
+                running = true;
+                pump();
+            }
+            break;
+        case 'ack':
+            // Batches from before a reset were already forgotten
+            if (message.generation === generation) {
+                inFlight = Math.max(0, inFlight - message.bytes);
+            }
+            break;
+        case 'pause':
+            paused = true;
+            break;
+        case 'resume':
+            paused = false;
+            break;
+        case 'reset':
+            generation = message.generation;
+            decoder = new TextDecoder();
+            inFlight = 0;
+            break;
+        case 'stop':
+            running = false;
+            break;
+    }
+    wake?.();
+};
+
+/**
+ * Sleep until the next poll or until a message arrives.
+ */
+function waitForNextPoll() {
+    return new Promise(resolve => {
+        const timer = setTimeout(resolve, POLL_INTERVAL_MS);
+        wake = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+    }).finally(() => { wake = null; });
+}
+
+/**
+ * Drain the ring for up to one batch window and return the decoded text and byte count.
+ */
+function drainBatch() {
+    const chunks = [];
+    let bytes = 0;
+    const deadline = performance.now() + BATCH_WINDOW_MS;
+
+    while (bytes < MAX_BATCH_BYTES && performance.now() < deadline) {
+        const chunk = ring.read(MAX_BATCH_BYTES - bytes);
+        if (chunk.length === 0) break;
+        chunks.push(decoder.decode(chunk, { stream: true }));
+        bytes += chunk.length;
+    }
+
+    return { text: chunks.join(''), bytes };
+}
+
+async function pump() {
+    while (running) {
+        if (paused || inFlight >= MAX_IN_FLIGHT_BYTES || ring.available() === 0) {
+            await waitForNextPoll();
+            continue;
+        }
+
+        const { text, bytes } = drainBatch();
+        if (bytes > 0) {
+            inFlight += bytes;
+            self.postMessage({ type: 'output', text, bytes, generation });
+        }
+    }
+}
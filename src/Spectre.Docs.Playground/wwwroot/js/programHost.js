@@ -0,0 +1,203 @@
+/**
+ * Main-thread side of the program worker for Spectre.Console Playground.
+ * Starts programWorker.js, which runs compiled programs in a .NET runtime of its own, and points
+ * the terminal at that runtime's ring buffers while a program runs. A program that never yields
+ * then only keeps the worker busy; the editor, the terminal and the Stop button stay responsive.
+ */
+
+import { attachBuffers, detachBuffers, waitForOutputDrain } from './sharedTerminal.js';
+
+// After the program exits, wait this long for the terminal to show the rest of its output
+const OUTPUT_DRAIN_TIMEOUT_MS = 5000;
+// After Stop, a program gets this long to finish before its worker is terminated
+const TERMINATE_GRACE_MS = 3000;
+// What a terminated program wrote gets this long to reach the terminal; nothing writes to the ring any more
+const TERMINATED_DRAIN_TIMEOUT_MS = 500;
+// A worker whose runtime is not ready by then is given up on, and programs run in process
+const BOOT_TIMEOUT_MS = 30000;
+
+let worker = null;
+// Resolves to true once the worker's runtime is ready, false if it failed to start
+let readyPromise = null;
+// The worker's ring buffers: { buffer, outputPtr, outputSize, inputPtr, inputSize, controlPtr, controlSize }
+let workerBuffers = null;
+// The run in progress: { resolve, reject }
+let currentRun = null;
+// Terminates the worker if the program ignores cancellation
+let watchdogHandle = null;
+
+/**
+ * Whether this page can host a program worker (module workers and shared memory).
+ */
+export function isProgramWorkerSupported() {
+    return typeof Worker !== 'undefined' &&
+        typeof SharedArrayBuffer !== 'undefined' &&
+        globalThis.crossOriginIsolated === true;
+}
+
+/**
+ * Start the program worker if it is not running yet.
+ * @returns {Promise<boolean>} true once the worker can run programs, false if it could not start
+ */
+export function startProgramWorker() {
+    if (readyPromise) {
+        return readyPromise;
+    }
+    if (!isProgramWorkerSupported()) {
+        return Promise.resolve(false);
+    }
+
+    readyPromise = new Promise(resolve => {
+        try {
+            worker = new Worker(new URL('./programWorker.js', import.meta.url), { type: 'module' });
+        } catch (e) {
+            console.warn('[programHost] Program worker unavailable, running in process:', e);
+            readyPromise = null;
+            resolve(false);
+            return;
+        }
+
+        // dotnet.create() can stall without failing, e.g. while a resource download hangs
+        const bootTimer = setTimeout(() => {
+            console.warn(`[programHost] Program worker not ready after ${BOOT_TIMEOUT_MS} ms, running in process`);
+            stopProgramWorker();
+            // Don't boot another worker that would stall each run the same way
+            readyPromise = Promise.resolve(false);
+            resolve(false);
+        }, BOOT_TIMEOUT_MS);
+
+        worker.onmessage = (e) => {
+            const message = e.data;
+            switch (message.type) {
+                case 'buffers':
+                    workerBuffers = message;
+                    break;
+                case 'ready':
+                    console.log('[programHost] Program worker ready');
+                    clearTimeout(bootTimer);
+                    resolve(true);
+                    break;
+                case 'started':
+                    attachWorkerBuffers();
+                    break;
+                case 'exit':
+                    currentRun?.resolve(false);
+                    break;
+                case 'error':
+                    console.error('[programHost] Program worker failed to start:', message.message);
+                    clearTimeout(bootTimer);
+                    stopProgramWorker();
+                    resolve(false);
+                    break;
+            }
+        };
+        worker.onerror = (e) => {
+            console.error('[programHost] Program worker failed:', e);
+            clearTimeout(bootTimer);
+            stopProgramWorker();
+            resolve(false);
+        };
+    });
+    return readyPromise;
+}
+
+/**
+ * Run a compiled assembly in the program worker.
+ * Resolves once the program has exited and its output has reached the terminal.
+ * @param {Uint8Array} assembly - The compiled assembly
+ * @param {number} cols - Terminal columns
+ * @param {number} rows - Terminal rows
+ * @returns {Promise<boolean>} true if the program ignored cancellation and its worker was terminated
+ */
+export async function runProgram(assembly, cols, rows) {
+    if (!(await startProgramWorker())) {
+        throw new Error('The program worker is not available.');
+    }
+    if (currentRun) {
+        throw new Error('A program is already running.');
+    }
+
+    try {
+        const terminated = await new Promise((resolve, reject) => {
+            currentRun = { resolve, reject };
+            worker.postMessage({ type: 'run', assembly, cols, rows }, [assembly.buffer]);
+        });
+        await waitForOutputDrain(terminated ? TERMINATED_DRAIN_TIMEOUT_MS : OUTPUT_DRAIN_TIMEOUT_MS);
+        return terminated;
+    } finally {
+        clearTimeout(watchdogHandle);
+        watchdogHandle = null;
+        currentRun = null;
+        // Back to the page runtime's own buffers
+        detachBuffers();
+    }
+}
+
+/**
+ * Cancel the running program. Its cancellation token is cancelled and any ReadKey wakes up;
+ * if it is still running after a grace period, its worker is terminated.
+ */
+export function cancelProgram() {
+    if (!worker || !currentRun) {
+        return;
+    }
+
+    worker.postMessage({ type: 'cancel' });
+    if (!watchdogHandle) {
+        watchdogHandle = setTimeout(terminateProgram, TERMINATE_GRACE_MS);
+    }
+}
+
+/**
+ * Terminate the worker and its runtime. A run in progress fails.
+ */
+export function stopProgramWorker() {
+    const run = currentRun;
+    terminateWorker();
+    run?.reject(new Error('The program worker stopped.'));
+}
+
+/**
+ * Watchdog: the program did not stop after being cancelled (e.g. a loop that never checks the token).
+ * Kill its runtime, end the run and boot a fresh runtime, which registers new buffers, for the next one.
+ */
+function terminateProgram() {
+    watchdogHandle = null;
+    const run = currentRun;
+    if (!run) {
+        return;
+    }
+
+    console.warn('[programHost] Program ignored cancellation, terminating its worker');
+    terminateWorker();
+    run.resolve(true);
+    startProgramWorker();
+}
+
+function terminateWorker() {
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+    readyPromise = null;
+    workerBuffers = null;
+}
+
+/**
+ * The worker has reset its buffers for a new run; send terminal input and take output from them.
+ */
+function attachWorkerBuffers() {
+    const b = workerBuffers;
+    if (!b) {
+        return;
+    }
+    attachBuffers(b.buffer, b.outputPtr, b.outputSize, b.inputPtr, b.inputSize, b.controlPtr, b.controlSize);
+}
+
+export default {
+    isProgramWorkerSupported,
+    startProgramWorker,
+    runProgram,
+    cancelProgram,
+    stopProgramWorker
+};
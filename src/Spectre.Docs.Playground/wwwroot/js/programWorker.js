@@ -0,0 +1,96 @@
+/**
+ * Program worker for Spectre.Console Playground.
+ * Hosts a second .NET runtime that runs compiled programs (ProgramWorkerHost), so a program that
+ * never yields cannot freeze the page.
+ *
+ * The worker's SharedTerminalIO allocates its ring buffers in this runtime's heap, a SharedArrayBuffer
+ * the main thread's sharedTerminal.js reads and writes directly. C# in this runtime imports this module
+ * as "sharedTerminal", so it also provides the functions SharedTerminalIO calls during a run.
+ *
+ * Messages from the main thread:
+ * - { type: 'run', assembly, cols, rows }  Run a compiled assembly
+ * - { type: 'cancel' }                       Cancel the running program
+ *
+ * Messages to the main thread:
+ * - { type: 'buffers', buffer, outputPtr, outputSize, inputPtr, inputSize, controlPtr, controlSize }
+ * - { type: 'ready' }                        The runtime can run programs
+ * - { type: 'started' }                      The buffers were reset and the program is starting
+ * - { type: 'exit' }                         The program finished
+ * - { type: 'error', message }               The runtime failed to start
+ */
+
+import { dotnet } from '../_framework/dotnet.js';
+import { RingBuffer } from './ringbuffer.js';
+import { encodeCancel } from './terminalProtocol.js';
+
+let runtime = null;
+let host = null;
+let inputRing = null;
+
+self.onmessage = (e) => {
+    const message = e.data;
+    switch (message.type) {
+        case 'run':
+            run(message);
+            break;
+        case 'cancel':
+            host?.CancelAsync();
+            break;
+    }
+};
+
+start();
+
+async function start() {
+    try {
+        runtime = await dotnet
+            // Workaround for .NET 10 Blazor WASM hang issue (dotnet/runtime#122529), as on the page
+            .withEnvironmentVariable('MONO_INTERPRETER_OPTIONS', '-ssa')
+            .create();
+        const exports = await runtime.getAssemblyExports('Spectre.Docs.Playground');
+        host = exports.Spectre.Docs.Playground.Services.ProgramWorkerHost;
+        await host.InitializeAsync();
+        self.postMessage({ type: 'ready' });
+    } catch (err) {
+        self.postMessage({ type: 'error', message: String(err?.message ?? err) });
+    }
+}
+
+async function run({ assembly, cols, rows }) {
+    try {
+        await host.PrepareAsync();
+        self.postMessage({ type: 'started' });
+        await host.RunAsync(assembly, cols, rows);
+    } catch (err) {
+        console.error('[programWorker] Run failed:', err);
+    }
+    self.postMessage({ type: 'exit' });
+}
+
+function getHeapBuffer() {
+    return runtime?.Module?.HEAPU8?.buffer ?? null;
+}
+
+/**
+ * Called by SharedTerminalIO after allocating its ring buffers in this runtime's heap.
+ */
+export function registerBuffers(outPtr, outSize, inPtr, inSize, ctrlPtr, ctrlSize) {
+    inputRing = new RingBuffer(getHeapBuffer, inPtr, inSize);
+    self.postMessage({
+        type: 'buffers',
+        buffer: getHeapBuffer(),
+        outputPtr: outPtr,
+        outputSize: outSize,
+        inputPtr: inPtr,
+        inputSize: inSize,
+        controlPtr: ctrlPtr,
+        controlSize: ctrlSize
+    });
+}
+
+/**
+ * Write a cancel message to the input buffer, waking up any ReadKey/ReadMouse.
+ */
+export function writeCancelKey() {
+    inputRing?.write(encodeCancel());
+}
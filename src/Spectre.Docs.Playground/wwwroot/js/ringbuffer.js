@@ -1,44 +1,91 @@
 /**
- * SharedArrayBuffer-based ring buffer for lock-free communication between C# and JS.
+ * Ring buffer for lock-free communication between C# and JS.
  * Completely bypasses Blazor JS interop for terminal I/O.
  *
- * Memory Layout:
+ * This is the JS side of C# SharedRingBuffer. It works over a SharedArrayBuffer or over the WASM heap,
+ * where C# allocates the terminal's rings; the main thread and the output worker both use it.
+ *
+ * Memory Layout (from the ring's offset, which must be 4-byte aligned):
  * - Offset 0-3:   Write index (Uint32)
  * - Offset 4-7:   Read index (Uint32)
  * - Offset 8-11:  Signal counter (Int32) - for Atomics.notify/wait
  * - Offset 12+:   Data buffer
+ *
+ * One slot is always left free, so equal indices mean empty and a write index one behind the
+ * read index means full.
  */
 
-const HEADER_SIZE = 12;
+export const HEADER_SIZE = 12;
 const WRITE_INDEX_OFFSET = 0;
 const READ_INDEX_OFFSET = 4;
 const SIGNAL_OFFSET = 8;
 
 export class RingBuffer {
     /**
-     * @param {SharedArrayBuffer} buffer - The shared buffer
-     * @param {number} dataSize - Size of the data portion (buffer.byteLength - HEADER_SIZE)
+     * @param {ArrayBufferLike | (() => ArrayBufferLike | null)} memory - The buffer holding the ring, or a
+     *        function returning it (the WASM heap's buffer is replaced when the heap grows)
+     * @param {number} offset - Byte offset of the ring within the buffer
+     * @param {number} size - Total ring size including the header (defaults to the rest of the buffer)
+     */
+    constructor(memory, offset = 0, size = undefined) {
+        this.memory = memory;
+        this.offset = offset;
+        if (size === undefined) {
+            // Only the buffer itself knows how much of it follows the offset
+            const buffer = typeof memory === 'function' ? memory() : memory;
+            if (!buffer) {
+                throw new Error('RingBuffer needs a size when its memory is not available yet');
+            }
+            size = buffer.byteLength - offset;
+        }
+        this.totalSize = size;
+        this.dataSize = this.totalSize - HEADER_SIZE;
+        this._buffer = null;
+        this._header = null;
+        this._data = null;
+        // Persistent streaming decoder: a multi-byte character split across two reads
+        // (ring wrap or poll boundary) is held back until its remaining bytes arrive
+        this.decoder = new TextDecoder();
+    }
+
+    /**
+     * Get the header view, recreating the views if the underlying buffer was replaced.
+     * Returns null if the memory is not available.
      */
-    constructor(buffer) {
-        this.buffer = buffer;
-        this.dataSize = buffer.byteLength - HEADER_SIZE;
-        this.uint32View = new Uint32Array(buffer, 0, 3);
-        this.int32View = new Int32Array(buffer, 0, 3);
-        this.dataView = new Uint8Array(buffer, HEADER_SIZE);
+    _views() {
+        const buffer = typeof this.memory === 'function' ? this.memory() : this.memory;
+        if (!buffer) {
+            return null;
+        }
+        if (buffer !== this._buffer) {
+            this._buffer = buffer;
+            this._header = new Int32Array(buffer, this.offset, HEADER_SIZE / 4);
+            this._data = new Uint8Array(buffer, this.offset + HEADER_SIZE, this.dataSize);
+        }
+        return this._header;
+    }
+
+    /**
+     * Get the buffer currently holding the ring, or null if the memory is not available
+     */
+    getBuffer() {
+        return this._views() ? this._buffer : null;
     }
 
     /**
      * Get the current write index
      */
     getWriteIndex() {
-        return Atomics.load(this.uint32View, WRITE_INDEX_OFFSET / 4);
+        const header = this._views();
+        return header ? Atomics.load(header, WRITE_INDEX_OFFSET / 4) >>> 0 : 0;
     }
 
     /**
      * Get the current read index
      */
     getReadIndex() {
-        return Atomics.load(this.uint32View, READ_INDEX_OFFSET / 4);
+        const header = this._views();
+        return header ? Atomics.load(header, READ_INDEX_OFFSET / 4) >>> 0 : 0;
     }
 
     /**
@@ -61,140 +108,123 @@ export class RingBuffer {
     }
 
     /**
-     * Write data to the buffer (for JS -> C# communication, e.g., keyboard input)
+     * Write data to the buffer, all or nothing.
      * @param {Uint8Array} data - Data to write
-     * @returns {boolean} - True if write succeeded, false if buffer full
+     * @returns {boolean} - True if write succeeded, false if the buffer is full or unavailable
      */
     write(data) {
-        if (data.length > this.freeSpace()) {
-            return false; // Buffer full
+        const header = this._views();
+        if (!header || data.length > this.freeSpace()) {
+            return false;
         }
 
-        let writeIdx = this.getWriteIndex();
-
-        for (let i = 0; i < data.length; i++) {
-            this.dataView[writeIdx] = data[i];
-            writeIdx = (writeIdx + 1) % this.dataSize;
+        const writeIdx = this.getWriteIndex();
+        const first = Math.min(data.length, this.dataSize - writeIdx);
+        this._data.set(data.subarray(0, first), writeIdx);
+        if (first < data.length) {
+            this._data.set(data.subarray(first), 0);
         }
 
-        // Update write index atomically
-        Atomics.store(this.uint32View, WRITE_INDEX_OFFSET / 4, writeIdx);
-
-        // Signal that data is available
-        Atomics.add(this.int32View, SIGNAL_OFFSET / 4, 1);
-        Atomics.notify(this.int32View, SIGNAL_OFFSET / 4);
-
+        // Publish the data, then signal that it is available
+        Atomics.store(header, WRITE_INDEX_OFFSET / 4, (writeIdx + data.length) % this.dataSize);
+        Atomics.add(header, SIGNAL_OFFSET / 4, 1);
+        Atomics.notify(header, SIGNAL_OFFSET / 4);
         return true;
     }
 
     /**
-     * Write a string as UTF-8 to the buffer
-     * @param {string} str - String to write
-     * @returns {boolean} - True if write succeeded
-     */
-    writeString(str) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(str);
-
-        // Write length prefix (4 bytes, little-endian)
-        const lengthBytes = new Uint8Array(4);
-        const lengthView = new DataView(lengthBytes.buffer);
-        lengthView.setUint32(0, data.length, true);
-
-        if (data.length + 4 > this.freeSpace()) {
-            return false;
-        }
-
-        // Write length then data
-        this.write(lengthBytes);
-        return this.write(data);
-    }
-
-    /**
-     * Read data from the buffer (for JS reading C# output)
+     * Read data from the buffer.
+     * The result is a copy in regular memory, since TextDecoder does not accept shared memory.
      * @param {number} maxBytes - Maximum bytes to read
-     * @returns {Uint8Array} - Data read (may be empty if nothing available)
+     * @returns {Uint8Array} - Data read (empty if nothing is available or the ring was reset meanwhile)
      */
-    read(maxBytes) {
-        const avail = this.available();
-        if (avail === 0) {
-            return new Uint8Array(0);
-        }
-
-        const toRead = Math.min(maxBytes, avail);
+    read(maxBytes = this.available()) {
+        const header = this._views();
+        const toRead = header ? Math.min(maxBytes, this.available()) : 0;
         const result = new Uint8Array(toRead);
-        let readIdx = this.getReadIndex();
-
-        for (let i = 0; i < toRead; i++) {
-            result[i] = this.dataView[readIdx];
-            readIdx = (readIdx + 1) % this.dataSize;
+        if (toRead === 0) {
+            return result;
         }
 
-        // Update read index atomically
-        Atomics.store(this.uint32View, READ_INDEX_OFFSET / 4, readIdx);
+        const readIdx = this.getReadIndex();
+        const first = Math.min(toRead, this.dataSize - readIdx);
+        result.set(this._data.subarray(readIdx, readIdx + first));
+        if (first < toRead) {
+            result.set(this._data.subarray(0, toRead - first), first);
+        }
 
-        return result;
+        // The ring may have been reset while we were copying; in that case the bytes are stale
+        const previous = Atomics.compareExchange(header, READ_INDEX_OFFSET / 4, readIdx, (readIdx + toRead) % this.dataSize);
+        return previous >>> 0 === readIdx ? result : new Uint8Array(0);
     }
 
     /**
      * Read all available data as a UTF-8 string
-     * @returns {string} - Decoded string
      */
     readString() {
-        const data = this.read(this.available());
+        const data = this.read();
         if (data.length === 0) return '';
-        const decoder = new TextDecoder();
-        return decoder.decode(data);
+        return this.decode(data);
     }
 
     /**
-     * Read a length-prefixed string (for reading from C#)
-     * @returns {string|null} - String if complete message available, null otherwise
+     * Decode bytes read from this ring, keeping partial characters for the next call
      */
-    readLengthPrefixedString() {
-        if (this.available() < 4) return null;
-
-        // Peek at length without consuming
-        let readIdx = this.getReadIndex();
-        const lengthBytes = new Uint8Array(4);
-        for (let i = 0; i < 4; i++) {
-            lengthBytes[i] = this.dataView[(readIdx + i) % this.dataSize];
-        }
-        const lengthView = new DataView(lengthBytes.buffer);
-        const length = lengthView.getUint32(0, true);
-
-        if (this.available() < 4 + length) return null;
-
-        // Consume length
-        this.read(4);
+    decode(data) {
+        return this.decoder.decode(data, { stream: true });
+    }
 
-        // Read string data
-        const data = this.read(length);
-        const decoder = new TextDecoder();
-        return decoder.decode(data);
+    /**
+     * Current value of the signal counter, which writers increment
+     */
+    getSignal() {
+        const header = this._views();
+        return header ? Atomics.load(header, SIGNAL_OFFSET / 4) : 0;
     }
 
     /**
-     * Wait for data to become available (blocking - use in worker only)
+     * Wait for data to become available (blocking - use in worker only).
+     * C# signals with Interlocked.Increment, which never notifies, so use a timeout when C# writes.
      * @param {number} timeoutMs - Timeout in milliseconds (-1 for infinite)
      * @returns {string} - 'ok', 'timed-out', or 'not-equal'
      */
     waitForData(timeoutMs = -1) {
-        const currentSignal = Atomics.load(this.int32View, SIGNAL_OFFSET / 4);
+        const header = this._views();
+        const signal = this.getSignal();
         if (this.available() > 0) {
             return 'ok';
         }
-        const result = Atomics.wait(this.int32View, SIGNAL_OFFSET / 4, currentSignal, timeoutMs);
-        return result;
+        return Atomics.wait(header, SIGNAL_OFFSET / 4, signal, timeoutMs < 0 ? Infinity : timeoutMs);
+    }
+
+    /**
+     * Wait without blocking until the signal counter moves from signal or the timeout elapses.
+     * Falls back to a plain timeout where Atomics.waitAsync is not available. As with waitForData,
+     * only writes from JS end the wait early.
+     * @param {number} signal - The value read with getSignal() before checking for data
+     * @param {number} timeoutMs - Timeout in milliseconds
+     * @returns {Promise<string>} - 'ok', 'timed-out', or 'not-equal'
+     */
+    waitForDataAsync(signal, timeoutMs) {
+        const header = this._views();
+        if (header && typeof Atomics.waitAsync === 'function') {
+            const result = Atomics.waitAsync(header, SIGNAL_OFFSET / 4, signal, timeoutMs);
+            return result.async ? result.value : Promise.resolve(result.value);
+        }
+        return new Promise(resolve => setTimeout(() => resolve('timed-out'), timeoutMs));
     }
 
     /**
      * Reset the buffer (clear all data)
      */
     reset() {
-        Atomics.store(this.uint32View, WRITE_INDEX_OFFSET / 4, 0);
-        Atomics.store(this.uint32View, READ_INDEX_OFFSET / 4, 0);
-        Atomics.store(this.int32View, SIGNAL_OFFSET / 4, 0);
+        // Drop any partial character left over from the previous run
+        this.decoder = new TextDecoder();
+        const header = this._views();
+        if (!header) return;
+        Atomics.store(header, WRITE_INDEX_OFFSET / 4, 0);
+        Atomics.store(header, READ_INDEX_OFFSET / 4, 0);
+        Atomics.store(header, SIGNAL_OFFSET / 4, 0);
     }
 }
 
@@ -204,106 +234,8 @@ export class RingBuffer {
  * @returns {SharedArrayBuffer}
  */
 export function createRingBuffer(dataSize) {
-    const buffer = new SharedArrayBuffer(HEADER_SIZE + dataSize);
-    return buffer;
-}
-
-/**
- * Terminal I/O manager using SharedArrayBuffer ring buffers.
- * Handles bidirectional communication between JS terminal and C# Spectre.Console.
- */
-export class TerminalIO {
-    constructor(outputBufferSize = 64 * 1024, inputBufferSize = 4 * 1024) {
-        // Output: C# writes, JS reads (for terminal display)
-        this.outputBuffer = createRingBuffer(outputBufferSize);
-        this.outputRing = new RingBuffer(this.outputBuffer);
-
-        // Input: JS writes, C# reads (for keyboard input)
-        this.inputBuffer = createRingBuffer(inputBufferSize);
-        this.inputRing = new RingBuffer(this.inputBuffer);
-
-        this._pollHandle = null;
-        this._onOutput = null;
-    }
-
-    /**
-     * Get the SharedArrayBuffers to pass to C#
-     */
-    getBuffers() {
-        return {
-            outputBuffer: this.outputBuffer,
-            inputBuffer: this.inputBuffer
-        };
-    }
-
-    /**
-     * Start polling for output from C# and call the callback
-     * @param {function(string)} onOutput - Callback for output data
-     * @param {number} pollIntervalMs - Poll interval in milliseconds
-     */
-    startOutputPoll(onOutput, pollIntervalMs = 16) {
-        this._onOutput = onOutput;
-
-        const poll = () => {
-            const data = this.outputRing.readString();
-            if (data.length > 0 && this._onOutput) {
-                this._onOutput(data);
-            }
-            this._pollHandle = setTimeout(poll, pollIntervalMs);
-        };
-
-        poll();
-    }
-
-    /**
-     * Stop polling for output
-     */
-    stopOutputPoll() {
-        if (this._pollHandle) {
-            clearTimeout(this._pollHandle);
-            this._pollHandle = null;
-        }
-    }
-
-    /**
-     * Write keyboard input to be read by C#
-     * @param {string} data - Key data (could be character or escape sequence)
-     */
-    writeInput(data) {
-        const encoder = new TextEncoder();
-        const bytes = encoder.encode(data);
-        this.inputRing.write(bytes);
-    }
-
-    /**
-     * Write a ConsoleKeyInfo-like structure to input buffer
-     * Format: [keyCode: u8, keyChar: u16 (LE), modifiers: u8]
-     * modifiers: bit 0 = shift, bit 1 = alt, bit 2 = ctrl
-     */
-    writeKeyInfo(keyCode, keyChar, shift, alt, ctrl) {
-        const data = new Uint8Array(4);
-        data[0] = keyCode;
-        data[1] = keyChar & 0xFF;
-        data[2] = (keyChar >> 8) & 0xFF;
-        data[3] = (shift ? 1 : 0) | (alt ? 2 : 0) | (ctrl ? 4 : 0);
-        this.inputRing.write(data);
-    }
-
-    /**
-     * Reset both buffers
-     */
-    reset() {
-        this.outputRing.reset();
-        this.inputRing.reset();
-    }
-
-    /**
-     * Dispose resources
-     */
-    dispose() {
-        this.stopOutputPoll();
-    }
+    return new SharedArrayBuffer(HEADER_SIZE + dataSize);
 }
 
 // Export for use as ES module
-export default { RingBuffer, createRingBuffer, TerminalIO };
+export default { HEADER_SIZE, RingBuffer, createRingBuffer };
@@ -0,0 +1,342 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { HEADER_SIZE, RingBuffer, createRingBuffer } from './ringbuffer.js';
+
+const encoder = new TextEncoder();
+const RING_MODULE_URL = new URL('./ringbuffer.js', import.meta.url).href;
+
+function createRing(dataSize) {
+    return new RingBuffer(createRingBuffer(dataSize));
+}
+
+// Small deterministic generator, so a failing split can be reproduced from its seed
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        return seed / 0x80000000;
+    };
+}
+
+// One- to four-byte UTF-8 characters, with the box drawing and the emoji made of several code points
+// (ZWJ sequences, variation selectors, skin tones) that Spectre output is full of
+const SAMPLE_CHARS = [
+    'a', 'Z', ' ', '\n', '\x1b', 'é', 'ß', 'Ж', '€', '✓', '日', '😀', '𝄞', '🎉',
+    '─', '│', '┌', '┐', '└', '┘', '├', '┼', '━', '═', '╭', '╯', '█', '░',
+    '👩‍💻', '👨‍👩‍👧', '🏳️‍🌈', '✔️', '❤️', '👍🏽'
+];
+
+function randomText(random, length) {
+    return Array.from({ length }, () => SAMPLE_CHARS[Math.floor(random() * SAMPLE_CHARS.length)]).join('');
+}
+
+/**
+ * Stream bytes through the ring in writes and reads of random sizes, decoding each read,
+ * the way the terminal drains program output.
+ */
+function streamThrough(ring, bytes, random) {
+    let written = 0;
+    let output = '';
+    while (written < bytes.length || ring.available() > 0) {
+        const writeSize = Math.min(bytes.length - written, 1 + Math.floor(random() * ring.freeSpace()));
+        if (writeSize > 0 && ring.write(bytes.subarray(written, written + writeSize))) {
+            written += writeSize;
+        }
+        output += ring.decode(ring.read(1 + Math.floor(random() * ring.available())));
+    }
+    return output;
+}
+
+/**
+ * Run a script in a worker thread with RingBuffer, parentPort and workerData in scope,
+ * and resolve with the first message it posts.
+ */
+function runWorker(script, workerData) {
+    const source = `
+        const { parentPort, workerData } = require('node:worker_threads');
+        import(workerData.moduleUrl).then(async ({ RingBuffer }) => {
+            ${script}
+        });`;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(source, { eval: true, workerData: { ...workerData, moduleUrl: RING_MODULE_URL } });
+        worker.once('message', resolve);
+        worker.once('error', reject);
+        worker.once('exit', code => reject(new Error(`Worker exited with code ${code} before posting`)));
+    });
+}
+
+// Writes the byte sequence 0, 1, ... 250, 0, ... in chunks of varying size, waiting while the ring is full
+const PRODUCER = `
+    const ring = new RingBuffer(workerData.buffer);
+    const pause = new Int32Array(new SharedArrayBuffer(4));
+    let sent = 0;
+    while (sent < workerData.total) {
+        const size = Math.min(workerData.total - sent, 1 + (sent * 7 + 3) % workerData.maxChunk);
+        const chunk = Uint8Array.from({ length: size }, (_, i) => (sent + i) % 251);
+        if (ring.write(chunk)) {
+            sent += size;
+        } else {
+            Atomics.wait(pause, 0, 0, 1);
+        }
+    }
+    parentPort.postMessage(sent);`;
+
+// Reads until it has the whole sequence, blocking in waitForData, and reports the first byte out of order
+const CONSUMER = `
+    const ring = new RingBuffer(workerData.buffer);
+    let received = 0;
+    while (received < workerData.total && ring.waitForData(5000) !== 'timed-out') {
+        for (const byte of ring.read()) {
+            if (byte !== received % 251) {
+                parentPort.postMessage({ received, unexpected: byte });
+                return;
+            }
+            received++;
+        }
+    }
+    parentPort.postMessage({ received });`;
+
+// Writes one byte after a short pause, so the main thread is already waiting
+const DELAYED_WRITER = `
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 50);
+    parentPort.postMessage(new RingBuffer(workerData.buffer).write(Uint8Array.of(42)));`;
+
+// Moves both indices to the given position, so the next write starts there
+function advanceTo(ring, position) {
+    assert.ok(ring.write(new Uint8Array(position)));
+    assert.equal(ring.read().length, position);
+}
+
+describe('RingBuffer', () => {
+    it('is empty when created', () => {
+        const ring = createRing(16);
+        assert.equal(ring.dataSize, 16);
+        assert.equal(ring.available(), 0);
+        assert.equal(ring.freeSpace(), 15);
+        assert.equal(ring.read().length, 0);
+        assert.equal(ring.readString(), '');
+    });
+
+    it('reads back what was written', () => {
+        const ring = createRing(16);
+        assert.ok(ring.write(Uint8Array.of(1, 2, 3)));
+        assert.equal(ring.available(), 3);
+        assert.deepEqual(ring.read(2), Uint8Array.of(1, 2));
+        assert.deepEqual(ring.read(), Uint8Array.of(3));
+        assert.equal(ring.available(), 0);
+    });
+
+    it('keeps one slot free to tell a full ring from an empty one', () => {
+        const ring = createRing(8);
+        assert.ok(ring.write(new Uint8Array(7).fill(9)));
+        assert.equal(ring.available(), 7);
+        assert.equal(ring.freeSpace(), 0);
+        assert.equal(ring.write(Uint8Array.of(1)), false);
+        assert.deepEqual(ring.read(), new Uint8Array(7).fill(9));
+        assert.equal(ring.freeSpace(), 7);
+    });
+
+    it('rejects a write that does not fit, leaving the ring unchanged', () => {
+        const ring = createRing(8);
+        assert.ok(ring.write(Uint8Array.of(1, 2, 3, 4)));
+        assert.equal(ring.write(Uint8Array.of(5, 6, 7, 8)), false);
+        assert.deepEqual(ring.read(), Uint8Array.of(1, 2, 3, 4));
+    });
+
+    it('wraps writes and reads around the end of the data', () => {
+        const ring = createRing(8);
+        advanceTo(ring, 6);
+        assert.ok(ring.write(Uint8Array.of(1, 2, 3, 4, 5)));
+        assert.equal(ring.getWriteIndex(), 3);
+        assert.equal(ring.available(), 5);
+        assert.deepEqual(ring.read(), Uint8Array.of(1, 2, 3, 4, 5));
+        assert.equal(ring.getReadIndex(), 3);
+    });
+
+    it('fills a wrapped ring up to the free slot', () => {
+        const ring = createRing(8);
+        advanceTo(ring, 5);
+        assert.ok(ring.write(Uint8Array.of(1, 2, 3, 4, 5, 6, 7)));
+        assert.equal(ring.freeSpace(), 0);
+        assert.equal(ring.write(Uint8Array.of(8)), false);
+        assert.deepEqual(ring.read(), Uint8Array.of(1, 2, 3, 4, 5, 6, 7));
+    });
+
+    it('decodes a multi-byte character split across the wrap', () => {
+        const ring = createRing(8);
+        advanceTo(ring, 6);
+        // "é" is two bytes and "€" three, so "€" straddles the end of the data
+        assert.ok(ring.write(encoder.encode('é€')));
+        assert.equal(ring.readString(), 'é€');
+    });
+
+    it('holds back a partial character until the rest of it arrives', () => {
+        const ring = createRing(8);
+        advanceTo(ring, 6);
+        const bytes = encoder.encode('😀');
+        assert.ok(ring.write(bytes.subarray(0, 3)));
+        assert.equal(ring.readString(), '');
+        assert.ok(ring.write(bytes.subarray(3)));
+        assert.equal(ring.readString(), '😀');
+    });
+
+    it('drops a partial character on reset', () => {
+        const ring = createRing(8);
+        assert.ok(ring.write(encoder.encode('€').subarray(0, 2)));
+        assert.equal(ring.readString(), '');
+        ring.reset();
+        assert.equal(ring.available(), 0);
+        assert.ok(ring.write(encoder.encode('a')));
+        assert.equal(ring.readString(), 'a');
+    });
+
+    it('counts writes in the signal', () => {
+        const ring = createRing(8);
+        assert.equal(ring.getSignal(), 0);
+        ring.write(Uint8Array.of(1));
+        ring.write(Uint8Array.of(2));
+        assert.equal(ring.getSignal(), 2);
+        ring.reset();
+        assert.equal(ring.getSignal(), 0);
+    });
+
+    it('uses a ring at an offset within a larger buffer', () => {
+        const buffer = new SharedArrayBuffer(64);
+        const first = new RingBuffer(buffer, 0, HEADER_SIZE + 8);
+        const second = new RingBuffer(buffer, HEADER_SIZE + 8);
+        assert.equal(second.dataSize, 64 - 2 * HEADER_SIZE - 8);
+        assert.ok(first.write(Uint8Array.of(1)));
+        assert.ok(second.write(Uint8Array.of(2)));
+        assert.deepEqual(first.read(), Uint8Array.of(1));
+        assert.deepEqual(second.read(), Uint8Array.of(2));
+    });
+
+    describe('streaming decode', () => {
+        it('decodes text split at random points exactly', () => {
+            for (let seed = 1; seed <= 200; seed++) {
+                const random = createRandom(seed);
+                const text = randomText(random, 1 + Math.floor(random() * 200));
+                const ring = createRing(16 + Math.floor(random() * 48));
+                assert.equal(streamThrough(ring, encoder.encode(text), random), text, `seed ${seed}`);
+            }
+        });
+
+        it('starts afresh after a reset in the middle of a character', () => {
+            for (let seed = 1; seed <= 200; seed++) {
+                const random = createRandom(seed);
+                const ring = createRing(32);
+                const before = encoder.encode(randomText(random, 20));
+                // Cut the bytes inside a character where there is one, leaving a partial character behind
+                const cut = before.findLastIndex(byte => (byte & 0xC0) === 0x80);
+                streamThrough(ring, before.subarray(0, cut >= 0 ? cut : before.length), random);
+                ring.reset();
+
+                const text = randomText(random, 1 + Math.floor(random() * 100));
+                assert.equal(streamThrough(ring, encoder.encode(text), random), text, `seed ${seed}`);
+            }
+        });
+    });
+
+    describe('between threads', () => {
+        it('passes bytes from a producer to a consumer thread in order across many wraps', async () => {
+            // An odd size, so the wrap falls at a different point of the chunks each time round
+            const data = { buffer: createRingBuffer(1021), total: 300_000, maxChunk: 300 };
+            const [sent, result] = await Promise.all([runWorker(PRODUCER, data), runWorker(CONSUMER, data)]);
+            assert.equal(sent, data.total);
+            assert.deepEqual(result, { received: data.total });
+        });
+
+        it('wakes waitForData when another thread writes', async () => {
+            const buffer = createRingBuffer(16);
+            const ring = new RingBuffer(buffer);
+            const written = runWorker(DELAYED_WRITER, { buffer });
+            assert.equal(ring.waitForData(10_000), 'ok');
+            assert.deepEqual(ring.read(), Uint8Array.of(42));
+            assert.equal(await written, true);
+        });
+
+        it('resolves waitForDataAsync when another thread writes', async () => {
+            const buffer = createRingBuffer(16);
+            const ring = new RingBuffer(buffer);
+            const waiting = ring.waitForDataAsync(ring.getSignal(), 10_000);
+            const written = runWorker(DELAYED_WRITER, { buffer });
+            assert.equal(await waiting, 'ok');
+            assert.deepEqual(ring.read(), Uint8Array.of(42));
+            assert.equal(await written, true);
+        });
+    });
+
+    describe('waiting for data', () => {
+        it('returns from waitForData at once when data is already there', () => {
+            const ring = createRing(16);
+            ring.write(Uint8Array.of(1));
+            assert.equal(ring.waitForData(10_000), 'ok');
+        });
+
+        it('times out waitForData when nothing is written', () => {
+            const ring = createRing(16);
+            assert.equal(ring.waitForData(20), 'timed-out');
+        });
+
+        it('resolves waitForDataAsync on a write', async () => {
+            const ring = createRing(16);
+            const waiting = ring.waitForDataAsync(ring.getSignal(), 10_000);
+            setTimeout(() => ring.write(Uint8Array.of(1)), 10);
+            assert.equal(await waiting, 'ok');
+        });
+
+        it('resolves waitForDataAsync at once when the signal has already moved', async () => {
+            const ring = createRing(16);
+            const signal = ring.getSignal();
+            ring.write(Uint8Array.of(1));
+            assert.equal(await ring.waitForDataAsync(signal, 10_000), 'not-equal');
+        });
+
+        it('times out waitForDataAsync when nothing is written', async () => {
+            const ring = createRing(16);
+            // Node's event loop does not wait for a pending Atomics.waitAsync, so hold it open meanwhile
+            const keepAlive = setInterval(() => {}, 1000);
+            try {
+                assert.equal(await ring.waitForDataAsync(ring.getSignal(), 20), 'timed-out');
+            } finally {
+                clearInterval(keepAlive);
+            }
+        });
+    });
+
+    describe('with a function returning the memory', () => {
+        it('takes its size from the buffer', () => {
+            const buffer = createRingBuffer(16);
+            const ring = new RingBuffer(() => buffer);
+            assert.equal(ring.totalSize, HEADER_SIZE + 16);
+            assert.equal(ring.dataSize, 16);
+        });
+
+        it('requires a size while the memory is not available', () => {
+            assert.throws(() => new RingBuffer(() => null));
+        });
+
+        it('does nothing while the memory is not available', () => {
+            let buffer = null;
+            const ring = new RingBuffer(() => buffer, 0, HEADER_SIZE + 8);
+            assert.equal(ring.available(), 0);
+            assert.equal(ring.write(Uint8Array.of(1)), false);
+            assert.equal(ring.read().length, 0);
+            buffer = createRingBuffer(8);
+            assert.ok(ring.write(Uint8Array.of(1)));
+            assert.deepEqual(ring.read(), Uint8Array.of(1));
+        });
+
+        it('follows the buffer when it is replaced', () => {
+            // Growing the WASM heap replaces its buffer, with the ring's contents copied over
+            let buffer = createRingBuffer(8);
+            const ring = new RingBuffer(() => buffer, 0, HEADER_SIZE + 8);
+            assert.ok(ring.write(Uint8Array.of(1, 2)));
+            const grown = new SharedArrayBuffer(buffer.byteLength * 2);
+            new Uint8Array(grown).set(new Uint8Array(buffer));
+            buffer = grown;
+            assert.ok(ring.write(Uint8Array.of(3)));
+            assert.deepEqual(ring.read(), Uint8Array.of(1, 2, 3));
+        });
+    });
+});
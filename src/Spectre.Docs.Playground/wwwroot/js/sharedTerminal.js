@@ -6,6 +6,12 @@
  */
 
 import { Terminal, FitAddon, init } from '/lib/ghostty-web/ghostty-web.js';
+import { translateKeyEvent, isPrintableKeyEvent } from './consoleKeys.js';
+import { encodeKey, encodeText, encodeResize, encodeMouse, encodeFocus, encodeCancel } from './terminalProtocol.js';
+import { RingBuffer } from './ringbuffer.js';
+import { exportSvg, exportHtml, exportPng, downloadBlob } from './terminalExport.js';
+import { TERMINAL_THEMES, getThemePreference, setThemePreference, resolveTheme } from './terminalThemes.js';
+import { DEFAULT_SETTINGS, normalizeSetting, loadSettings, saveSettings, clearSettings } from './terminalSettings.js';
 
 // Lazy initialization - don't block module loading with top-level await
 // as this can cause deadlocks with Blazor WASM runtime
@@ -46,17 +52,37 @@ async function ensureInitialized() {
     return initPromise;
 }
 
-// Constants matching C# SharedTerminalIO
-const HEADER_SIZE = 12;
-const WRITE_INDEX_OFFSET = 0;
-const READ_INDEX_OFFSET = 4;
-const SIGNAL_OFFSET = 8;
+// Mouse actions and buttons (matching C# MouseAction / MouseButton)
+const MOUSE_PRESS = 0;
+const MOUSE_RELEASE = 1;
+const MOUSE_MOVE = 2;
+const MOUSE_WHEEL_UP = 3;
+const MOUSE_WHEEL_DOWN = 4;
+const MOUSE_BUTTONS = [1, 2, 3, 0]; // SGR button bits -> Left, Middle, Right, None
+
+// SGR mouse report emitted by ghostty while the program has mouse tracking enabled
+const SGR_MOUSE_REPORT = /\x1b\[<(\d+);(\d+);(\d+)([Mm])/g;
+
+// Markers ghostty wraps a paste in while the program has enabled bracketed paste (mode 2004)
+const BRACKETED_PASTE_START = '\x1b[200~';
+const BRACKETED_PASTE_END = '\x1b[201~';
+// Written before the output limit banner: CAN aborts an escape sequence the cut may have split, then
+// plain attributes, a visible cursor, and mouse tracking and bracketed paste off. The program's own
+// cleanup is dropped with the rest of its output.
+const OUTPUT_LIMIT_RESET = '\x18\x1b[0m\x1b[?25h\x1b[?1000l\x1b[?1002l\x1b[?1003l\x1b[?1006l\x1b[?2004l';
+
+// Input frames wait in a queue while the input ring is full, retried until the program reads.
+// Past this many queued bytes new input is dropped.
+const MAX_PENDING_INPUT_BYTES = 256 * 1024;
+const INPUT_RETRY_MS = 5;
 
 // Global state
 let outputPtr = 0;
 let outputSize = 0;
 let inputPtr = 0;
 let inputSize = 0;
+let controlPtr = 0;
+let controlSize = 0;
 let terminal = null;
 let fitAddon = null;
 let pollHandle = null;
@@ -64,6 +90,55 @@ let resizeObserver = null;
 let containerElement = null;
 let isTerminalFocused = false;
 let isExecutionRunning = false;
+// Printable keydown waiting for its text to arrive through onData
+let pendingKeyEvent = null;
+// Set while ghostty is handling a paste event, so onData knows the text is a paste
+let isPasting = false;
+// Set while ghostty is handling compositionend: { text, textSent } for the composed text
+let compositionEnd = null;
+// Active asciicast recording: { startTime, width, height, timestamp, events: [[seconds, code, data]] }
+let recording = null;
+// Incremented to abort a running replay
+let replayGeneration = 0;
+let isReplaying = false;
+// Theme preference ('auto' or a theme id) and the watcher for the page's .dark class
+let themePreference = getThemePreference();
+let activeTheme = null;
+let themeObserver = null;
+// Font, cursor and scrollback settings (persisted in localStorage)
+let settings = loadSettings();
+// Output written since the last clear, replayed when the theme changes (ghostty resolves
+// cell colors when text is written, so existing text only picks up a new palette when rewritten)
+let screenLog = [];
+let screenLogLength = 0;
+const MAX_SCREEN_LOG_LENGTH = 1024 * 1024;
+// Set once the oldest output was dropped from the screen log, so it may start inside an escape sequence
+let screenLogTruncated = false;
+// Set when the screen needs rebuilding while a program runs; the rebuild waits until it ends
+let rebuildPending = false;
+// Set while the screen log is replayed, so ghostty's answers to old queries don't reach the program
+let isRebuilding = false;
+// Worker draining the output ring (null when polling on requestAnimationFrame instead)
+let outputWorker = null;
+// Incremented when the output ring is cleared, so batches already posted by the worker are dropped
+let outputGeneration = 0;
+// Worker batches held back while a recording is being replayed
+let heldOutput = [];
+// Program output written to the terminal since the page loaded
+let outputStats = { bytes: 0, batches: 0 };
+// Limits on the current run's output (0 = none) and what it has written so far;
+// once tripped, output is dropped until the next run sets its limits
+let outputLimits = { maxBytes: 0, maxLines: 0, bytes: 0, lines: 0, tripped: false };
+// Input frames waiting for room in the input ring
+let pendingInput = [];
+let pendingInputBytes = 0;
+let inputRetryHandle = null;
+// Latest resize that did not fit in the control ring, retried until it does
+let pendingResize = null;
+let resizeRetryHandle = null;
+// Input backpressure since the last clear: bytes that had to wait, bytes dropped, peak ring occupancy
+let inputStats = { blocked: 0, dropped: 0, highWater: 0 };
+
 /**
  * Request cancellation (called when Ctrl+C is pressed).
  * This calls the C# exported RequestCancellationAsync method.
@@ -83,11 +158,11 @@ async function requestCancellation() {
 
 /**
  * Update cursor blink state based on focus AND execution state.
- * Cursor only blinks when terminal is focused AND execution is running.
+ * Cursor only blinks when terminal is focused AND execution is running (and blinking is enabled).
  */
 function updateCursorBlink() {
     if (!terminal?.renderer?.setCursorBlink) return;
-    const shouldBlink = isTerminalFocused && isExecutionRunning;
+    const shouldBlink = settings.cursorBlink && isTerminalFocused && isExecutionRunning;
     terminal.renderer.setCursorBlink(shouldBlink);
 }
 
@@ -98,6 +173,9 @@ function updateCursorBlink() {
 export function setExecutionRunning(running) {
     isExecutionRunning = running;
     updateCursorBlink();
+    if (!running && rebuildPending && terminal) {
+        rebuildScreen();
+    }
 }
 
 /**
@@ -138,186 +216,83 @@ function getHeap() {
 }
 
 /**
- * Ring buffer reader/writer using WASM heap memory.
+ * The WASM heap's current buffer, which C# allocates the ring buffers in.
  */
-class HeapRingBuffer {
-    constructor(ptr, size) {
-        this.ptr = ptr;
-        this.totalSize = size;
-        this.dataSize = size - HEADER_SIZE;
-    }
-
-    getWriteIndex() {
-        const heap = getHeap();
-        if (!heap) return 0;
-        // Read uint32 little-endian
-        return heap[this.ptr] | (heap[this.ptr + 1] << 8) |
-               (heap[this.ptr + 2] << 16) | (heap[this.ptr + 3] << 24);
-    }
-
-    getReadIndex() {
-        const heap = getHeap();
-        if (!heap) return 0;
-        const offset = this.ptr + READ_INDEX_OFFSET;
-        return heap[offset] | (heap[offset + 1] << 8) |
-               (heap[offset + 2] << 16) | (heap[offset + 3] << 24);
-    }
-
-    setWriteIndex(value) {
-        const heap = getHeap();
-        if (!heap) return;
-        heap[this.ptr] = value & 0xFF;
-        heap[this.ptr + 1] = (value >> 8) & 0xFF;
-        heap[this.ptr + 2] = (value >> 16) & 0xFF;
-        heap[this.ptr + 3] = (value >> 24) & 0xFF;
-    }
-
-    setReadIndex(value) {
-        const heap = getHeap();
-        if (!heap) return;
-        const offset = this.ptr + READ_INDEX_OFFSET;
-        heap[offset] = value & 0xFF;
-        heap[offset + 1] = (value >> 8) & 0xFF;
-        heap[offset + 2] = (value >> 16) & 0xFF;
-        heap[offset + 3] = (value >> 24) & 0xFF;
-    }
-
-    incrementSignal() {
-        const heap = getHeap();
-        if (!heap) return;
-        const offset = this.ptr + SIGNAL_OFFSET;
-        let value = heap[offset] | (heap[offset + 1] << 8) |
-                    (heap[offset + 2] << 16) | (heap[offset + 3] << 24);
-        value++;
-        heap[offset] = value & 0xFF;
-        heap[offset + 1] = (value >> 8) & 0xFF;
-        heap[offset + 2] = (value >> 16) & 0xFF;
-        heap[offset + 3] = (value >> 24) & 0xFF;
-    }
-
-    available() {
-        const writeIdx = this.getWriteIndex();
-        const readIdx = this.getReadIndex();
-        if (writeIdx >= readIdx) {
-            return writeIdx - readIdx;
-        }
-        return this.dataSize - readIdx + writeIdx;
-    }
-
-    freeSpace() {
-        return this.dataSize - this.available() - 1;
-    }
-
-    write(data) {
-        if (data.length > this.freeSpace()) {
-            return false;
-        }
-
-        const heap = getHeap();
-        if (!heap) return false;
-
-        let writeIdx = this.getWriteIndex();
-        const dataStart = this.ptr + HEADER_SIZE;
-
-        for (let i = 0; i < data.length; i++) {
-            heap[dataStart + writeIdx] = data[i];
-            writeIdx = (writeIdx + 1) % this.dataSize;
-        }
-
-        this.setWriteIndex(writeIdx);
-        this.incrementSignal();
-        return true;
-    }
-
-    read(maxBytes) {
-        const avail = this.available();
-        if (avail === 0) {
-            return new Uint8Array(0);
-        }
-
-        const heap = getHeap();
-        if (!heap) return new Uint8Array(0);
-
-        const toRead = Math.min(maxBytes, avail);
-        const result = new Uint8Array(toRead);
-        let readIdx = this.getReadIndex();
-        const dataStart = this.ptr + HEADER_SIZE;
-
-        for (let i = 0; i < toRead; i++) {
-            result[i] = heap[dataStart + readIdx];
-            readIdx = (readIdx + 1) % this.dataSize;
-        }
-
-        this.setReadIndex(readIdx);
-        return result;
-    }
-
-    readString() {
-        const data = this.read(this.available());
-        if (data.length === 0) return '';
-        const decoder = new TextDecoder();
-        return decoder.decode(data);
-    }
-
-    reset() {
-        this.setWriteIndex(0);
-        this.setReadIndex(0);
-        const heap = getHeap();
-        if (heap) {
-            const offset = this.ptr + SIGNAL_OFFSET;
-            heap[offset] = 0;
-            heap[offset + 1] = 0;
-            heap[offset + 2] = 0;
-            heap[offset + 3] = 0;
-        }
-    }
+function getHeapBuffer() {
+    return getHeap()?.buffer ?? null;
 }
 
 // Ring buffer instances
 let outputRing = null;
 let inputRing = null;
-
-/**
- * ConsoleKey enum values (matching .NET ConsoleKey)
- */
-const ConsoleKey = {
-    None: 0,
-    Backspace: 8,
-    Tab: 9,
-    Enter: 13,
-    Escape: 27,
-    Spacebar: 32,
-    PageUp: 33,
-    PageDown: 34,
-    End: 35,
-    Home: 36,
-    LeftArrow: 37,
-    UpArrow: 38,
-    RightArrow: 39,
-    DownArrow: 40,
-    Insert: 45,
-    Delete: 46,
-    D0: 48, D1: 49, D2: 50, D3: 51, D4: 52,
-    D5: 53, D6: 54, D7: 55, D8: 56, D9: 57,
-    A: 65, B: 66, C: 67, D: 68, E: 69, F: 70, G: 71, H: 72,
-    I: 73, J: 74, K: 75, L: 76, M: 77, N: 78, O: 79, P: 80,
-    Q: 81, R: 82, S: 83, T: 84, U: 85, V: 86, W: 87, X: 88,
-    Y: 89, Z: 90,
-    NoName: 0
-};
+let controlRing = null;
 
 /**
  * Register buffer pointers from C#.
  * Called by C# after allocating memory from the WASM heap.
  */
-export function registerBuffers(outPtr, outSize, inPtr, inSize) {
+export function registerBuffers(outPtr, outSize, inPtr, inSize, ctrlPtr, ctrlSize) {
     outputPtr = outPtr;
     outputSize = outSize;
     inputPtr = inPtr;
     inputSize = inSize;
+    controlPtr = ctrlPtr;
+    controlSize = ctrlSize;
+
+    bindRings(getHeapBuffer, outputPtr, outputSize, inputPtr, inputSize, controlPtr, controlSize);
+}
+
+/**
+ * Use ring buffers that live in another runtime's memory (the program worker's heap) until
+ * detachBuffers is called. The buffer must be a SharedArrayBuffer.
+ */
+export function attachBuffers(buffer, outPtr, outSize, inPtr, inSize, ctrlPtr, ctrlSize) {
+    bindRings(buffer, outPtr, outSize, inPtr, inSize, ctrlPtr, ctrlSize);
+    console.log('[sharedTerminal] Attached to external ring buffers');
+}
+
+/**
+ * Go back to the ring buffers registered by C#.
+ */
+export function detachBuffers() {
+    bindRings(getHeapBuffer, outputPtr, outputSize, inputPtr, inputSize, controlPtr, controlSize);
+}
 
-    outputRing = new HeapRingBuffer(outputPtr, outputSize);
-    inputRing = new HeapRingBuffer(inputPtr, inputSize);
+/**
+ * Point the terminal's input, output and control rings at memory, a buffer or a function returning one.
+ */
+function bindRings(memory, outPtr, outSize, inPtr, inSize, ctrlPtr, ctrlSize) {
+    outputRing = new RingBuffer(memory, outPtr, outSize);
+    inputRing = new RingBuffer(memory, inPtr, inSize);
+    controlRing = new RingBuffer(memory, ctrlPtr, ctrlSize);
+
+    // Queued input was meant for the previous rings
+    clearPendingInput();
+    if (outputWorker) {
+        const buffer = outputRing.getBuffer();
+        outputWorker.postMessage({ type: 'start', buffer, ptr: outPtr, size: outSize });
+    }
+    if (terminal) {
+        writeFocus(isTerminalFocused);
+        writeResize(terminal.cols, terminal.rows);
+    }
+}
+
+/**
+ * Resolve once the output ring has been drained, or after timeoutMs.
+ */
+export function waitForOutputDrain(timeoutMs) {
+    const deadline = performance.now() + timeoutMs;
+    return new Promise(resolve => {
+        const check = () => {
+            if (!outputRing || outputRing.available() === 0 || performance.now() >= deadline) {
+                resolve();
+            } else {
+                setTimeout(check, 10);
+            }
+        };
+        check();
+    });
 }
 
 /**
@@ -338,41 +313,26 @@ export async function startTerminal(containerId) {
         return;
     }
 
-    // Create ghostty terminal
+    // Create ghostty terminal with the saved (or page-matching) theme
+    activeTheme = resolveTheme(themePreference);
     terminal = new Terminal({
         cursorBlink: false,
-        cursorStyle: 'block',
+        cursorStyle: settings.cursorStyle,
         cursorInactiveStyle: 'outline',
-        fontSize: 18,
-        fontFamily: '"JetBrainsMono NF", Monaco, Menlo, "Courier New", monospace',
-        theme: {
-            background: '#1e1e1e',
-            foreground: '#abb2bf',
-            cursor: '#d4d4d4',
-            cursorAccent: '#1e1e1e',
-            black: '#282c34',
-            red: '#e06c75',
-            green: '#98c379',
-            yellow: '#e5c07b',
-            blue: '#61afef',
-            magenta: '#c678dd',
-            cyan: '#56b6c2',
-            white: '#abb2bf',
-            brightBlack: '#5c6370',
-            brightRed: '#e06c75',
-            brightGreen: '#98c379',
-            brightYellow: '#e5c07b',
-            brightBlue: '#61afef',
-            brightMagenta: '#c678dd',
-            brightCyan: '#56b6c2',
-            brightWhite: '#ffffff'
-        },
-        scrollback: 1000
+        fontSize: settings.fontSize,
+        fontFamily: settings.fontFamily,
+        theme: { ...activeTheme.colors },
+        scrollback: settings.scrollback
     });
 
     fitAddon = new FitAddon();
     terminal.loadAddon(fitAddon);
     terminal.open(containerElement);
+    applyFrameBackground(terminal.options.theme.background);
+
+    // Follow the site's light/dark toggle while the theme preference is 'auto'
+    themeObserver = new MutationObserver(() => applyTheme());
+    themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
 
     // Wait for JetBrainsMono NF font to load before measuring
     await document.fonts.load('14px "JetBrainsMono NF"');
@@ -394,36 +354,108 @@ export async function startTerminal(containerId) {
     resizeObserver.observe(containerElement);
     window.addEventListener('resize', handleResize);
 
-    // Handle keyboard input - write directly to SharedArrayBuffer
+    // Let the running program know about the new size so layouts re-render
+    terminal.onResize(({ cols, rows }) => {
+        writeResize(cols, rows);
+        recordEvent('r', `${cols}x${rows}`);
+    });
+
+    // Handle keyboard input - write directly to the WASM heap ring buffer
     terminal.onData(data => {
+        if (isRebuilding) {
+            return;
+        }
+
         // Handle Ctrl+C specially - request cancellation
         if (data === '\x03') {
             requestCancellation();
             return;
         }
 
-        // Skip keys that are handled by onKey to avoid duplicates
-        // This includes escape sequences, control characters, and space
-        if (data.startsWith('\x1b') ||
-            data === '\r' || data === '\n' ||
-            data === '\b' || data === '\x7f' ||
-            data === '\t' || data === ' ') {
+        // Clipboard paste: send all of it, line breaks and characters without a key included
+        if (isPasting || data.startsWith(BRACKETED_PASTE_START)) {
+            pendingKeyEvent = null;
+            writePaste(data);
+            return;
+        }
+
+        // Composed text (IME, dead keys), then any key pressed during composition, which ghostty
+        // replays by its key name (e.g. 'Enter') once the composition ends
+        if (compositionEnd) {
+            if (!compositionEnd.textSent && data === compositionEnd.text) {
+                compositionEnd.textSent = true;
+                writeText(data);
+            } else {
+                const keyInfo = translateKeyEvent({ key: data });
+                if (keyInfo) {
+                    writeKeyInfo(keyInfo.key, keyInfo.char, keyInfo.shift, keyInfo.alt, keyInfo.ctrl);
+                }
+            }
+            return;
+        }
+
+        // Text typed on the keyboard: translate with the key event so the physical key is known
+        const keyEvent = pendingKeyEvent;
+        pendingKeyEvent = null;
+        if (keyEvent && data === keyEvent.key) {
+            const keyInfo = translateKeyEvent(keyEvent);
+            if (keyInfo) {
+                writeKeyInfo(keyInfo.key, keyInfo.char, keyInfo.shift, keyInfo.alt, keyInfo.ctrl);
+            }
+            return;
+        }
+
+        // Mouse reports (only sent while the program has enabled mouse tracking)
+        if (writeMouseReports(data)) {
             return;
         }
 
-        // Write regular characters
-        for (const char of data) {
-            const keyInfo = parseCharToKeyInfo(char);
-            writeKeyInfo(keyInfo.key, keyInfo.char, keyInfo.shift, false, false);
+        // Skip escape sequences and control characters - onKey already sent those keys
+        if (isControlData(data)) {
+            return;
         }
+
+        // Text without a key event (emoji picker, mobile input)
+        writeText(data);
     });
 
-    // Handle special keys
+    // ghostty emits a paste through onData from inside its paste handler. Mark the event in the
+    // capture phase, before ghostty sees it, and clear the mark once the event is done.
+    const markPaste = () => {
+        isPasting = true;
+        setTimeout(() => { isPasting = false; }, 0);
+    };
+    containerElement.addEventListener('paste', markPaste, true);
+    containerElement.addEventListener('beforeinput', (e) => {
+        if (e.inputType === 'insertFromPaste') {
+            markPaste();
+        }
+    }, true);
+
+    // Composition ends the same way: ghostty sends the composed text, then any key held back
+    containerElement.addEventListener('compositionend', (e) => {
+        compositionEnd = { text: e.data, textSent: false };
+        setTimeout(() => { compositionEnd = null; }, 0);
+    }, true);
+
+    // Handle non-printable keys and modifier combinations
     terminal.onKey(e => {
         const domEvent = e.domEvent || {};
-        const code = domEvent.code || '';
+        pendingKeyEvent = null;
 
-        const keyInfo = parseKeyEvent(code, e.key, domEvent);
+        // Printable keys are sent when their text arrives in onData
+        if (isPrintableKeyEvent(domEvent)) {
+            pendingKeyEvent = domEvent;
+            return;
+        }
+
+        // Ctrl+C requests cancellation via onData, Ctrl/Cmd+V is a paste, other Cmd shortcuts belong to the browser
+        if (domEvent.metaKey ||
+            (domEvent.ctrlKey && !domEvent.altKey && (domEvent.code === 'KeyC' || domEvent.code === 'KeyV'))) {
+            return;
+        }
+
+        const keyInfo = translateKeyEvent(domEvent);
         if (keyInfo) {
             writeKeyInfo(keyInfo.key, keyInfo.char, keyInfo.shift, keyInfo.alt, keyInfo.ctrl);
         }
@@ -441,6 +473,7 @@ export async function startTerminal(containerId) {
         }
         // Cursor blinks only when terminal is focused AND execution is running
         updateCursorBlink();
+        writeFocus(focused);
     };
 
     // Listen for focus events on the terminal's textarea
@@ -464,115 +497,452 @@ export async function startTerminal(containerId) {
 }
 
 /**
- * Parse a character to ConsoleKey info
- */
-function parseCharToKeyInfo(char) {
-    const code = char.charCodeAt(0);
-
-    if (char >= 'a' && char <= 'z') {
-        return { key: ConsoleKey.A + (code - 97), char: code, shift: false };
-    }
-    if (char >= 'A' && char <= 'Z') {
-        return { key: ConsoleKey.A + (code - 65), char: code, shift: true };
-    }
-    if (char >= '0' && char <= '9') {
-        return { key: ConsoleKey.D0 + (code - 48), char: code, shift: false };
-    }
-    if (char === ' ') {
-        return { key: ConsoleKey.Spacebar, char: 32, shift: false };
-    }
-
-    // For other characters, use NoName
-    return { key: ConsoleKey.NoName, char: code, shift: false };
-}
-
-/**
- * Parse a key event to ConsoleKey info
- */
-function parseKeyEvent(code, key, domEvent) {
-    const shift = domEvent.shiftKey || false;
-    const alt = domEvent.altKey || false;
-    const ctrl = domEvent.ctrlKey || false;
-
-    // By DOM code
-    switch (code) {
-        case 'ArrowUp': return { key: ConsoleKey.UpArrow, char: 0, shift, alt, ctrl };
-        case 'ArrowDown': return { key: ConsoleKey.DownArrow, char: 0, shift, alt, ctrl };
-        case 'ArrowLeft': return { key: ConsoleKey.LeftArrow, char: 0, shift, alt, ctrl };
-        case 'ArrowRight': return { key: ConsoleKey.RightArrow, char: 0, shift, alt, ctrl };
-        case 'Home': return { key: ConsoleKey.Home, char: 0, shift, alt, ctrl };
-        case 'End': return { key: ConsoleKey.End, char: 0, shift, alt, ctrl };
-        case 'PageUp': return { key: ConsoleKey.PageUp, char: 0, shift, alt, ctrl };
-        case 'PageDown': return { key: ConsoleKey.PageDown, char: 0, shift, alt, ctrl };
-        case 'Delete': return { key: ConsoleKey.Delete, char: 0, shift, alt, ctrl };
-        case 'Insert': return { key: ConsoleKey.Insert, char: 0, shift, alt, ctrl };
-        case 'Backspace': return { key: ConsoleKey.Backspace, char: 8, shift, alt, ctrl };
-        case 'Enter':
-        case 'NumpadEnter': return { key: ConsoleKey.Enter, char: 13, shift, alt, ctrl };
-        case 'Tab': return { key: ConsoleKey.Tab, char: 9, shift, alt, ctrl };
-        case 'Escape': return { key: ConsoleKey.Escape, char: 27, shift, alt, ctrl };
-        case 'Space': return { key: ConsoleKey.Spacebar, char: 32, shift, alt, ctrl };
-    }
-
-    // By escape sequence
-    switch (key) {
-        case '\x1b[A':
-        case '\x1bOA': return { key: ConsoleKey.UpArrow, char: 0, shift, alt, ctrl };
-        case '\x1b[B':
-        case '\x1bOB': return { key: ConsoleKey.DownArrow, char: 0, shift, alt, ctrl };
-        case '\x1b[C':
-        case '\x1bOC': return { key: ConsoleKey.RightArrow, char: 0, shift, alt, ctrl };
-        case '\x1b[D':
-        case '\x1bOD': return { key: ConsoleKey.LeftArrow, char: 0, shift, alt, ctrl };
-        case '\x1b[H':
-        case '\x1bOH':
-        case '\x1b[1~': return { key: ConsoleKey.Home, char: 0, shift, alt, ctrl };
-        case '\x1b[F':
-        case '\x1bOF':
-        case '\x1b[4~': return { key: ConsoleKey.End, char: 0, shift, alt, ctrl };
-        case '\x1b[5~': return { key: ConsoleKey.PageUp, char: 0, shift, alt, ctrl };
-        case '\x1b[6~': return { key: ConsoleKey.PageDown, char: 0, shift, alt, ctrl };
-        case '\x1b[3~': return { key: ConsoleKey.Delete, char: 0, shift, alt, ctrl };
-        case '\x1b[2~': return { key: ConsoleKey.Insert, char: 0, shift, alt, ctrl };
-        case '\x7f':
-        case '\b': return { key: ConsoleKey.Backspace, char: 8, shift, alt, ctrl };
-        case '\r':
-        case '\n': return { key: ConsoleKey.Enter, char: 13, shift, alt, ctrl };
-        case '\t': return { key: ConsoleKey.Tab, char: 9, shift, alt, ctrl };
+ * Whether onData text is an escape sequence or a single control character.
+ */
+function isControlData(data) {
+    if (data.startsWith('\x1b')) return true;
+    if (data.length !== 1) return false;
+    const code = data.charCodeAt(0);
+    return code < 32 || code === 0x7f;
+}
+
+/**
+ * Write a ConsoleKeyInfo to the input buffer. keyChar is a code point.
+ */
+function writeKeyInfo(keyCode, keyChar, shift, alt, ctrl) {
+    if (!inputRing) {
+        return;
     }
 
-    return null;
+    writeInputFrame(encodeKey(keyCode, keyChar, shift, alt, ctrl));
 }
 
 /**
- * Write a ConsoleKeyInfo to the input buffer.
- * Format: [keyCode: u8, keyChar: u16 (LE), modifiers: u8]
+ * Write text that did not come from key presses to the input buffer, in frames well under the
+ * input ring size. CRLF and LF line breaks each become a single Enter.
  */
-function writeKeyInfo(keyCode, keyChar, shift, alt, ctrl) {
+function writeText(text, unbounded = false) {
+    if (!inputRing) {
+        return;
+    }
+
+    for (const frame of encodeText(text.replace(/\r\n|\n/g, '\r'))) {
+        writeInputFrame(frame, unbounded);
+    }
+}
+
+/**
+ * Write pasted text to the input buffer.
+ * A bracketed paste keeps its start and end markers, the way a terminal sends them on stdin.
+ * Pastes are queued in full however large they are, so nothing is dropped.
+ */
+function writePaste(data) {
+    if (data.startsWith(BRACKETED_PASTE_START) && data.endsWith(BRACKETED_PASTE_END)) {
+        const text = data.slice(BRACKETED_PASTE_START.length, -BRACKETED_PASTE_END.length);
+        // An end marker inside the text would end the paste early
+        data = BRACKETED_PASTE_START + text.replaceAll(BRACKETED_PASTE_END, '') + BRACKETED_PASTE_END;
+    }
+
+    writeText(data, true);
+}
+
+/**
+ * Tell the running program whether the terminal has keyboard focus.
+ */
+function writeFocus(focused) {
+    if (!inputRing) {
+        return;
+    }
+
+    writeInputFrame(encodeFocus(focused));
+}
+
+/**
+ * Translate SGR mouse reports (CSI < b ; col ; row M/m) into mouse messages.
+ * Returns true if the data consisted of mouse reports.
+ */
+function writeMouseReports(data) {
+    if (!data.startsWith('\x1b[<')) {
+        return false;
+    }
+
+    let found = false;
+    for (const match of data.matchAll(SGR_MOUSE_REPORT)) {
+        found = true;
+        const code = parseInt(match[1], 10);
+        const x = parseInt(match[2], 10) - 1;
+        const y = parseInt(match[3], 10) - 1;
+        const released = match[4] === 'm';
+
+        let action;
+        let button = MOUSE_BUTTONS[code & 3];
+        if (code & 64) {
+            // Wheel: 64 = up, 65 = down (66/67 horizontal scroll is ignored)
+            if ((code & 3) > 1) continue;
+            action = (code & 1) ? MOUSE_WHEEL_DOWN : MOUSE_WHEEL_UP;
+            button = 0;
+        } else if (code & 32) {
+            action = MOUSE_MOVE;
+        } else {
+            action = released ? MOUSE_RELEASE : MOUSE_PRESS;
+        }
+
+        writeMouseEvent(action, button, x, y, (code & 4) !== 0, (code & 8) !== 0, (code & 16) !== 0);
+    }
+    return found;
+}
+
+/**
+ * Write a mouse event to the input buffer.
+ */
+function writeMouseEvent(action, button, x, y, shift, alt, ctrl) {
     if (!inputRing) {
         return;
     }
 
-    const data = new Uint8Array(4);
-    data[0] = keyCode & 0xFF;
-    data[1] = keyChar & 0xFF;
-    data[2] = (keyChar >> 8) & 0xFF;
-    data[3] = (shift ? 1 : 0) | (alt ? 2 : 0) | (ctrl ? 4 : 0);
+    writeInputFrame(encodeMouse(action, button, x, y, shift, alt, ctrl));
+}
+
+/**
+ * Write an input frame, queueing it if the input ring is full.
+ * Frames keep their order: once one is queued, later ones queue behind it.
+ * Returns false if the frame was dropped because the queue is full; unbounded writes
+ * (pastes) are always queued.
+ */
+function writeInputFrame(frame, unbounded = false) {
+    if (pendingInput.length === 0 && inputRing.write(frame)) {
+        updateInputHighWater();
+        return true;
+    }
+
+    if (!unbounded && pendingInputBytes + frame.length > MAX_PENDING_INPUT_BYTES) {
+        inputStats.dropped += frame.length;
+        return false;
+    }
+
+    pendingInput.push(frame);
+    pendingInputBytes += frame.length;
+    inputStats.blocked += frame.length;
+    if (!inputRetryHandle) {
+        inputRetryHandle = setTimeout(flushPendingInput, INPUT_RETRY_MS);
+    }
+    return true;
+}
+
+/**
+ * Move queued input into the ring as the program makes room.
+ */
+function flushPendingInput() {
+    inputRetryHandle = null;
+    while (pendingInput.length > 0 && inputRing && inputRing.write(pendingInput[0])) {
+        pendingInputBytes -= pendingInput.shift().length;
+        updateInputHighWater();
+    }
+    if (pendingInput.length > 0) {
+        inputRetryHandle = setTimeout(flushPendingInput, INPUT_RETRY_MS);
+    }
+}
+
+function clearPendingInput() {
+    if (inputRetryHandle) {
+        clearTimeout(inputRetryHandle);
+        inputRetryHandle = null;
+    }
+    pendingInput = [];
+    pendingInputBytes = 0;
+}
+
+function updateInputHighWater() {
+    inputStats.highWater = Math.max(inputStats.highWater, inputRing.available());
+}
+
+/**
+ * Input backpressure since the last clear.
+ * Returns { pending, blocked, dropped, highWater }: bytes waiting for room in the input ring,
+ * bytes that had to wait, bytes dropped because the queue was full, and peak ring occupancy.
+ */
+export function getInputStats() {
+    return {
+        pending: pendingInputBytes,
+        blocked: inputStats.blocked,
+        dropped: inputStats.dropped,
+        highWater: inputStats.highWater
+    };
+}
+
+/**
+ * Write a resize message to the control buffer.
+ * C# only acts on the latest size, so a resize still waiting for room is replaced rather than queued.
+ */
+function writeResize(cols, rows) {
+    pendingResize = encodeResize(cols, rows);
+    flushPendingResize();
+}
+
+function flushPendingResize() {
+    clearPendingResizeRetry();
+    if (!pendingResize || !controlRing) {
+        return;
+    }
+
+    if (controlRing.write(pendingResize)) {
+        pendingResize = null;
+    } else {
+        resizeRetryHandle = setTimeout(flushPendingResize, INPUT_RETRY_MS);
+    }
+}
+
+function clearPendingResizeRetry() {
+    if (resizeRetryHandle) {
+        clearTimeout(resizeRetryHandle);
+        resizeRetryHandle = null;
+    }
+}
+
+/**
+ * Write output to the terminal, keeping it in the screen log for theme changes.
+ */
+function writeOutput(text) {
+    terminal.write(text);
+
+    screenLog.push(text);
+    screenLogLength += text.length;
+    while (screenLogLength > MAX_SCREEN_LOG_LENGTH && screenLog.length > 1) {
+        screenLogLength -= screenLog.shift().length;
+        screenLogTruncated = true;
+    }
+}
+
+function clearScreenLog() {
+    screenLog = [];
+    screenLogLength = 0;
+    screenLogTruncated = false;
+    rebuildPending = false;
+}
+
+/**
+ * Apply the theme for the current preference and page mode.
+ * Setting options.theme goes through ghostty's handleOptionChange, which calls the renderer's
+ * setTheme and repaints; it is also the palette the terminal is rebuilt with on reset().
+ */
+function applyTheme() {
+    if (!terminal) return;
+
+    const theme = resolveTheme(themePreference);
+    if (theme === activeTheme) {
+        return;
+    }
+
+    activeTheme = theme;
+    terminal.options.theme = { ...theme.colors };
+    applyFrameBackground(theme.colors.background);
+
+    // Rebuild the screen so existing text is resolved against the new palette
+    rebuildScreen();
+}
+
+/**
+ * Recreate the terminal state from the current options and replay the screen log.
+ * The reset would clear the modes a running program has set (mouse tracking, bracketed paste,
+ * alternate screen), so while one runs the rebuild waits until it has ended.
+ */
+function rebuildScreen() {
+    if (isExecutionRunning) {
+        rebuildPending = true;
+        return;
+    }
+
+    rebuildPending = false;
+    terminal.reset();
+    isRebuilding = true;
+    try {
+        screenLog.forEach((chunk, index) => {
+            // A truncated log starts wherever a batch did; skip to the next line rather than show half a sequence
+            if (index === 0 && screenLogTruncated) {
+                const lineEnd = chunk.indexOf('\n');
+                chunk = lineEnd < 0 ? '' : chunk.substring(lineEnd + 1);
+            }
+            terminal.write(chunk);
+        });
+    } finally {
+        isRebuilding = false;
+    }
+}
+
+/**
+ * Match the padding around the canvas to the terminal background.
+ */
+function applyFrameBackground(background) {
+    const inner = containerElement?.closest('.terminal-inner');
+    if (inner) {
+        inner.style.setProperty('--terminal-inner-bg', background);
+    }
+}
+
+/**
+ * List the built-in terminal themes as JSON: [{ id, name, dark }].
+ */
+export function getTerminalThemes() {
+    return JSON.stringify(Object.entries(TERMINAL_THEMES).map(([id, theme]) => ({ id, name: theme.name, dark: theme.dark })));
+}
+
+/**
+ * Get the terminal theme preference: 'auto' (follow the page) or a theme id.
+ */
+export function getTerminalTheme() {
+    return themePreference;
+}
+
+/**
+ * Pick a terminal theme ('auto' or a theme id), persist it and apply it.
+ */
+export function setTerminalTheme(preference) {
+    themePreference = setThemePreference(preference);
+    applyTheme();
+}
+
+/**
+ * Get the current terminal settings as JSON: { fontSize, fontFamily, cursorStyle, cursorBlink, scrollback }.
+ */
+export function getTerminalSettings() {
+    return JSON.stringify(settings);
+}
+
+/**
+ * Set the font size in pixels. The terminal refits and the running program sees the new size.
+ */
+export function setFontSize(size) {
+    return updateSetting('fontSize', size);
+}
+
+/**
+ * Set the CSS font family. The terminal refits once the font has loaded.
+ */
+export function setFontFamily(family) {
+    return updateSetting('fontFamily', family);
+}
+
+/**
+ * Set the number of scrollback lines kept by the terminal.
+ */
+export function setScrollback(lines) {
+    return updateSetting('scrollback', lines);
+}
+
+/**
+ * Set the cursor style: 'block', 'underline' or 'bar'.
+ */
+export function setCursorStyle(style) {
+    return updateSetting('cursorStyle', style);
+}
+
+/**
+ * Enable or disable cursor blinking while a program is running.
+ */
+export function setCursorBlink(enabled) {
+    return updateSetting('cursorBlink', enabled);
+}
+
+/**
+ * Restore the default settings and forget the stored ones.
+ */
+export function resetTerminalSettings() {
+    clearSettings();
+    const previous = settings;
+    settings = { ...DEFAULT_SETTINGS };
+    for (const name of Object.keys(settings)) {
+        if (previous[name] !== settings[name]) {
+            applySetting(name);
+        }
+    }
+}
+
+/**
+ * Validate, persist and apply a single setting. Returns false if the value is invalid.
+ */
+function updateSetting(name, value) {
+    const normalized = normalizeSetting(name, value);
+    if (normalized === undefined) {
+        console.warn(`[sharedTerminal] Invalid ${name}:`, value);
+        return false;
+    }
 
-    inputRing.write(data);
+    if (settings[name] !== normalized) {
+        settings = { ...settings, [name]: normalized };
+        saveSettings(settings);
+        applySetting(name);
+    }
+    return true;
 }
 
 /**
- * Start polling for output from C# ring buffer.
+ * Push a setting to the live terminal.
+ * Font and cursor options go through ghostty's handleOptionChange via the options proxy.
  */
-function startOutputPoll() {
+function applySetting(name) {
+    if (!terminal) return;
+
+    switch (name) {
+        case 'fontSize':
+            terminal.options.fontSize = settings.fontSize;
+            refit();
+            break;
+        case 'fontFamily':
+            terminal.options.fontFamily = settings.fontFamily;
+            refit();
+            // Web fonts may still be loading - measure again once they are ready
+            document.fonts.load(`${settings.fontSize}px ${settings.fontFamily}`)
+                .then(() => {
+                    if (!terminal) return;
+                    terminal.loadFonts();
+                    refit();
+                })
+                .catch(() => {});
+            break;
+        case 'cursorStyle':
+            terminal.options.cursorStyle = settings.cursorStyle;
+            // handleOptionChange also resets blinking from options - restore our state
+            updateCursorBlink();
+            break;
+        case 'cursorBlink':
+            updateCursorBlink();
+            break;
+        case 'scrollback':
+            // Scrollback is part of the terminal config, which is only read on reset;
+            // while a program runs, the new value takes effect once it has ended
+            terminal.options.scrollback = settings.scrollback;
+            rebuildScreen();
+            break;
+    }
+}
+
+/**
+ * Fit the terminal to its container; onResize forwards the new size to the running program.
+ */
+function refit() {
+    try {
+        fitAddon?.fit();
+    } catch (e) {
+        console.warn('[sharedTerminal] Resize fit error:', e);
+    }
+}
+
+/**
+ * Start draining output from the C# ring buffer.
+ * A worker does the draining when the WASM heap is shared memory; otherwise the ring is
+ * polled on requestAnimationFrame.
+ */
+function startOutputPoll(useWorker = true) {
+    if (useWorker && startOutputWorker()) {
+        return;
+    }
+
     const poll = () => {
-        if (outputRing && terminal) {
-            const data = outputRing.readString();
+        // Output stays in the ring buffer while a recording is being replayed
+        if (outputRing && terminal && !isReplaying) {
+            const data = outputRing.read(outputRing.available());
             if (data.length > 0) {
-                // Normalize line endings
-                const normalized = data.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
-                terminal.write(normalized);
+                writeProgramOutput(outputRing.decode(data), data.length);
             }
         }
         pollHandle = requestAnimationFrame(poll);
@@ -581,6 +951,201 @@ function startOutputPoll() {
     poll();
 }
 
+/**
+ * Start the output pump worker. Returns false if the heap can't be shared with a worker.
+ */
+function startOutputWorker() {
+    const buffer = outputRing?.getBuffer();
+    if (!buffer || typeof Worker === 'undefined' ||
+        typeof SharedArrayBuffer === 'undefined' || !(buffer instanceof SharedArrayBuffer)) {
+        return false;
+    }
+
+    try {
+        outputWorker = new Worker(new URL('./outputWorker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+        console.warn('[sharedTerminal] Output worker unavailable, polling instead:', e);
+        return false;
+    }
+
+    outputWorker.onmessage = (e) => receiveWorkerOutput(e.data);
+    outputWorker.onerror = (e) => {
+        console.error('[sharedTerminal] Output worker failed, polling instead:', e);
+        stopTerminal();
+        if (terminal) {
+            startOutputPoll(false);
+        }
+    };
+    outputWorker.postMessage({ type: 'start', buffer, ptr: outputRing.offset, size: outputRing.totalSize });
+    if (isReplaying) {
+        outputWorker.postMessage({ type: 'pause' });
+    }
+    return true;
+}
+
+/**
+ * Handle a batch of output posted by the worker.
+ */
+function receiveWorkerOutput(message) {
+    if (message.type !== 'output' || message.generation !== outputGeneration) {
+        return;
+    }
+    if (isReplaying) {
+        // Unacknowledged, so the worker stops draining once enough is held
+        heldOutput.push(message);
+        return;
+    }
+    writeWorkerOutput(message);
+}
+
+function writeWorkerOutput(message) {
+    if (terminal) {
+        writeProgramOutput(message.text, message.bytes);
+    }
+    outputWorker?.postMessage({ type: 'ack', bytes: message.bytes, generation: message.generation });
+}
+
+/**
+ * Write decoded program output to the terminal.
+ */
+function writeProgramOutput(text, bytes) {
+    const limited = limitProgramOutput(text, bytes);
+    if (limited.text.length > 0) {
+        // Normalize line endings
+        const normalized = limited.text.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
+        writeOutput(normalized);
+        recordEvent('o', normalized);
+        outputStats.bytes += limited.bytes;
+        outputStats.batches++;
+    }
+    if (limited.reason) {
+        tripOutputLimit(limited.reason);
+    }
+}
+
+/**
+ * Set the output limits for the run about to start (0 = no limit).
+ * Called from C# before each run.
+ */
+export function setOutputLimits(maxBytes, maxLines) {
+    outputLimits = { maxBytes, maxLines, bytes: 0, lines: 0, tripped: false };
+}
+
+/**
+ * Mark the end of the run's program output, before C# writes its own messages (time limit,
+ * termination) through the output ring. If the run passed a limit, the program output still
+ * queued is dropped; the limits are lifted either way, so those messages are shown.
+ */
+export function endProgramOutput() {
+    if (outputLimits.tripped) {
+        discardQueuedOutput();
+    }
+    setOutputLimits(0, 0);
+}
+
+/**
+ * Cut a batch of program output at the current run's limits.
+ * Returns { text, bytes } to write and, if a limit was passed, the reason.
+ */
+function limitProgramOutput(text, bytes) {
+    const limits = outputLimits;
+    if (limits.tripped) {
+        return { text: '', bytes: 0, reason: null };
+    }
+
+    let end = text.length;
+    let reason = null;
+    if (limits.maxBytes > 0 && limits.bytes + bytes > limits.maxBytes) {
+        end = indexAfterUtf8Bytes(text, limits.maxBytes - limits.bytes);
+        reason = `Output limit of ${limits.maxBytes} bytes reached`;
+    }
+
+    let lines = 0;
+    if (limits.maxLines > 0) {
+        // Anything written after the last allowed line break trips the limit
+        let cut = limits.lines >= limits.maxLines ? 0 : -1;
+        for (let index = text.indexOf('\n'); cut < 0 && index >= 0 && index < end; index = text.indexOf('\n', index + 1)) {
+            lines++;
+            if (limits.lines + lines === limits.maxLines) {
+                cut = index + 1;
+            }
+        }
+        if (cut >= 0 && cut < end) {
+            end = cut;
+            reason = `Output limit of ${limits.maxLines} lines reached`;
+        }
+    }
+
+    limits.lines += lines;
+    if (!reason) {
+        limits.bytes += bytes;
+        return { text, bytes, reason };
+    }
+
+    const kept = text.substring(0, end);
+    const keptBytes = utf8Length(kept);
+    limits.bytes += keptBytes;
+    return { text: kept, bytes: keptBytes, reason };
+}
+
+/**
+ * The index in text just past the longest prefix that fits in maxBytes of UTF-8.
+ */
+function indexAfterUtf8Bytes(text, maxBytes) {
+    let bytes = 0;
+    let index = 0;
+    for (const ch of text) {
+        bytes += utf8Length(ch);
+        if (bytes > maxBytes) {
+            break;
+        }
+        index += ch.length;
+    }
+    return index;
+}
+
+function utf8Length(text) {
+    let bytes = 0;
+    for (const ch of text) {
+        const codePoint = ch.codePointAt(0);
+        bytes += codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+    }
+    return bytes;
+}
+
+/**
+ * Stop showing the run's output, restore what the program may have changed and cancel it.
+ */
+function tripOutputLimit(reason) {
+    outputLimits.tripped = true;
+    const banner = `${OUTPUT_LIMIT_RESET}\r\n\x1b[33m${reason}; the program was stopped.\x1b[0m\r\n`;
+    writeOutput(banner);
+    recordEvent('o', banner);
+    console.warn(`[sharedTerminal] ${reason}, cancelling the run`);
+    requestCancellation();
+}
+
+/**
+ * Pause or resume program output while a recording is replayed.
+ */
+function setReplaying(replaying) {
+    isReplaying = replaying;
+    outputWorker?.postMessage({ type: replaying ? 'pause' : 'resume' });
+    if (!replaying) {
+        const held = heldOutput;
+        heldOutput = [];
+        held.filter(message => message.generation === outputGeneration).forEach(writeWorkerOutput);
+    }
+}
+
+/**
+ * Program output written to the terminal so far, for measuring throughput.
+ * Returns { bytes, batches, worker } where worker tells whether the output worker is in use.
+ */
+export function getOutputStats() {
+    return { bytes: outputStats.bytes, batches: outputStats.batches, worker: outputWorker !== null };
+}
+
 /**
  * Stop the terminal.
  */
@@ -589,6 +1154,11 @@ export function stopTerminal() {
         cancelAnimationFrame(pollHandle);
         pollHandle = null;
     }
+    if (outputWorker) {
+        outputWorker.terminate();
+        outputWorker = null;
+    }
+    heldOutput = [];
 }
 
 /**
@@ -598,13 +1168,33 @@ export function clearTerminal() {
     if (terminal) {
         terminal.clear();
         terminal.reset();
+        clearScreenLog();
+        // RIS - replays start the next run from a blank screen too
+        recordEvent('o', '\x1bc');
     }
-    if (outputRing) {
-        outputRing.reset();
-    }
+    discardQueuedOutput();
+    clearPendingInput();
+    inputStats = { blocked: 0, dropped: 0, highWater: 0 };
     if (inputRing) {
         inputRing.reset();
+        // The last focus message went with the cleared input
+        writeFocus(isTerminalFocused);
+    }
+    if (controlRing) {
+        controlRing.reset();
+    }
+}
+
+/**
+ * Drop the output in the ring, along with what the worker already took from it.
+ */
+function discardQueuedOutput() {
+    if (outputRing) {
+        outputRing.reset();
     }
+    outputGeneration++;
+    heldOutput = [];
+    outputWorker?.postMessage({ type: 'reset', generation: outputGeneration });
 }
 
 /**
@@ -617,14 +1207,14 @@ export function focusTerminal() {
 }
 
 /**
- * Write a cancel key packet to the input buffer.
- * This wakes up any ReadKey waiting on the C# side.
+ * Write a cancel message to the input buffer.
+ * This wakes up any ReadKey/ReadMouse waiting on the C# side.
  */
 export function writeCancelKey() {
     if (!inputRing) return;
-    // Special cancel key packet: [keyCode=0, keyChar=0x03 (ETX), modifiers=0xFF]
-    const cancelPacket = new Uint8Array([0, 0x03, 0x00, 0xFF]);
-    inputRing.write(cancelPacket);
+    // Input still queued was typed for the run being cancelled
+    clearPendingInput();
+    writeInputFrame(encodeCancel());
 }
 
 /**
@@ -634,7 +1224,189 @@ export function writeTerminal(text) {
     if (terminal) {
         // Normalize line endings for xterm
         const normalized = text.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
-        terminal.write(normalized);
+        writeOutput(normalized);
+        recordEvent('o', normalized);
+    }
+}
+
+/**
+ * Start recording terminal output as an asciicast v2 session.
+ * Any recording in progress is discarded.
+ */
+export function startRecording() {
+    recording = {
+        startTime: performance.now(),
+        width: terminal ? terminal.cols : 80,
+        height: terminal ? terminal.rows : 24,
+        timestamp: Math.floor(Date.now() / 1000),
+        events: []
+    };
+}
+
+/**
+ * Whether a recording is in progress.
+ */
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Stop recording and return the session as asciicast v2 text ('' if nothing was recording).
+ */
+export function stopRecording() {
+    if (!recording) {
+        return '';
+    }
+
+    const { width, height, timestamp, events } = recording;
+    recording = null;
+
+    // asciicast v2: a JSON header line followed by one [time, code, data] line per event
+    const header = { version: 2, width, height, timestamp, env: { TERM: 'xterm-256color' } };
+    const lines = [JSON.stringify(header)];
+    for (const [time, code, data] of events) {
+        lines.push(JSON.stringify([Number(time.toFixed(6)), code, data]));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Stop recording and download the session as a .cast file.
+ * Returns false if nothing was recording.
+ */
+export function downloadRecording(fileName) {
+    const cast = stopRecording();
+    if (!cast) {
+        return false;
+    }
+
+    downloadBlob(new Blob([cast], { type: 'application/x-asciicast' }), fileName || 'playground.cast');
+    return true;
+}
+
+/**
+ * Export the terminal (scrollback + screen) and download it.
+ * Format is 'svg', 'html' or 'png' (PNG captures the visible screen only).
+ * Returns false if the terminal isn't running or the format is unknown.
+ */
+export async function exportTerminal(format, fileName) {
+    if (!terminal) {
+        return false;
+    }
+
+    let blob;
+    switch (format) {
+        case 'svg':
+            blob = new Blob([exportSvg(terminal)], { type: 'image/svg+xml' });
+            break;
+        case 'html':
+            blob = new Blob([exportHtml(terminal)], { type: 'text/html' });
+            break;
+        case 'png':
+            blob = await exportPng(terminal);
+            break;
+        default:
+            console.warn('[sharedTerminal] Unknown export format:', format);
+            return false;
+    }
+
+    if (!blob) {
+        return false;
+    }
+
+    downloadBlob(blob, fileName || `playground.${format}`);
+    return true;
+}
+
+/**
+ * Append an event to the active recording.
+ */
+function recordEvent(code, data) {
+    if (!recording) return;
+    recording.events.push([(performance.now() - recording.startTime) / 1000, code, data]);
+}
+
+/**
+ * Play asciicast v2 text back into the terminal.
+ * Output from a running program is held in the ring buffer until the replay ends.
+ * Resolves to false if the replay was stopped or the cast could not be parsed.
+ */
+export async function replayCast(castText, speed = 1) {
+    if (!terminal) {
+        return false;
+    }
+
+    let header;
+    const events = [];
+    try {
+        const lines = castText.split('\n').filter(line => line.trim().length > 0);
+        header = JSON.parse(lines[0]);
+        if (header.version !== 2) {
+            throw new Error(`Unsupported asciicast version: ${header.version}`);
+        }
+        for (const line of lines.slice(1)) {
+            events.push(JSON.parse(line));
+        }
+    } catch (e) {
+        console.error('[sharedTerminal] Invalid asciicast file:', e);
+        return false;
+    }
+
+    const generation = ++replayGeneration;
+    const idleLimit = header.idle_time_limit ?? Infinity;
+    setReplaying(true);
+
+    try {
+        terminal.reset();
+        terminal.clear();
+        clearScreenLog();
+
+        let previous = 0;
+        for (const [time, code, data] of events) {
+            const delay = Math.min(time - previous, idleLimit) / speed;
+            previous = time;
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay * 1000));
+            }
+            if (generation !== replayGeneration || !terminal) {
+                return false;
+            }
+            // Resize events ('r') are skipped - the terminal keeps fitting its container
+            if (code === 'o') {
+                writeOutput(data);
+            }
+        }
+        return true;
+    } finally {
+        if (generation === replayGeneration) {
+            setReplaying(false);
+        }
+    }
+}
+
+/**
+ * Let the user pick a .cast file and replay it.
+ */
+export function replayCastFile(speed = 1) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.cast,application/x-asciicast';
+    input.addEventListener('change', async () => {
+        const file = input.files && input.files[0];
+        if (file) {
+            await replayCast(await file.text(), speed);
+        }
+    });
+    input.click();
+}
+
+/**
+ * Stop a running replay and resume normal output.
+ */
+export function stopReplay() {
+    replayGeneration++;
+    if (isReplaying) {
+        setReplaying(false);
     }
 }
 
@@ -659,6 +1431,18 @@ export function dispose() {
         resizeObserver = null;
     }
 
+    if (themeObserver) {
+        themeObserver.disconnect();
+        themeObserver = null;
+    }
+    clearScreenLog();
+
+    stopReplay();
+    recording = null;
+    clearPendingInput();
+    clearPendingResizeRetry();
+    pendingResize = null;
+
     if (terminal) {
         terminal.dispose();
         terminal = null;
@@ -668,11 +1452,15 @@ export function dispose() {
     inputBuffer = null;
     outputRing = null;
     inputRing = null;
+    controlRing = null;
 }
 
 // Make functions available globally for C# JSImport
 globalThis.sharedTerminal = {
     registerBuffers,
+    attachBuffers,
+    detachBuffers,
+    waitForOutputDrain,
     startTerminal,
     stopTerminal,
     clearTerminal,
@@ -680,12 +1468,37 @@ globalThis.sharedTerminal = {
     writeTerminal,
     getTerminalSize,
     writeCancelKey,
+    startRecording,
+    stopRecording,
+    isRecording,
+    downloadRecording,
+    replayCast,
+    replayCastFile,
+    stopReplay,
+    exportTerminal,
+    getOutputStats,
+    getInputStats,
+    getTerminalThemes,
+    getTerminalTheme,
+    setTerminalTheme,
+    getTerminalSettings,
+    setFontSize,
+    setFontFamily,
+    setScrollback,
+    setCursorStyle,
+    setCursorBlink,
+    resetTerminalSettings,
     setExecutionRunning,
+    setOutputLimits,
+    endProgramOutput,
     dispose
 };
 
 export default {
     registerBuffers,
+    attachBuffers,
+    detachBuffers,
+    waitForOutputDrain,
     startTerminal,
     stopTerminal,
     clearTerminal,
@@ -693,6 +1506,28 @@ export default {
     writeTerminal,
     getTerminalSize,
     writeCancelKey,
+    startRecording,
+    stopRecording,
+    isRecording,
+    downloadRecording,
+    replayCast,
+    replayCastFile,
+    stopReplay,
+    exportTerminal,
+    getOutputStats,
+    getInputStats,
+    getTerminalThemes,
+    getTerminalTheme,
+    setTerminalTheme,
+    getTerminalSettings,
+    setFontSize,
+    setFontFamily,
+    setScrollback,
+    setCursorStyle,
+    setCursorBlink,
+    resetTerminalSettings,
     setExecutionRunning,
+    setOutputLimits,
+    endProgramOutput,
     dispose
 };
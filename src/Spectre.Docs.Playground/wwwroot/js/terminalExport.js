@@ -0,0 +1,257 @@
+/**
+ * Terminal screen export for Spectre.Console Playground.
+ * Serializes the ghostty terminal (scrollback + visible screen) into SVG, HTML or PNG.
+ *
+ * Cell colors come straight from ghostty's resolved cell data, so the active theme
+ * and palette are preserved. ghostty resolves the default background to the theme's
+ * background color, so a cell with exactly that color is left to the page background;
+ * any other color, black included, is written out.
+ */
+
+import { CellFlags } from '/lib/ghostty-web/ghostty-web.js';
+
+/**
+ * Read every line of the terminal: scrollback first (oldest to newest), then the visible screen.
+ * Each line is an array of { text, width, fg, bg, flags } cells; trailing blank cells are dropped.
+ * A null bg means the theme background.
+ */
+function collectLines(terminal, style) {
+    const wasmTerm = terminal.wasmTerm;
+    const lines = [];
+    if (!wasmTerm) return lines;
+
+    const scrollbackLength = terminal.getScrollbackLength();
+    for (let offset = 0; offset < scrollbackLength; offset++) {
+        const cells = terminal.getScrollbackLine(offset);
+        if (!cells) continue;
+        lines.push(toExportCells(cells, style, (col, cell) => {
+            const codepoints = cell.grapheme_len > 0 && wasmTerm.getScrollbackGrapheme
+                ? wasmTerm.getScrollbackGrapheme(offset, col)
+                : null;
+            return codepoints && codepoints.length > 0 ? String.fromCodePoint(...codepoints) : null;
+        }));
+    }
+
+    for (let row = 0; row < terminal.rows; row++) {
+        const cells = wasmTerm.getLine(row);
+        if (!cells) continue;
+        lines.push(toExportCells(cells, style, (col, cell) =>
+            cell.grapheme_len > 0 ? wasmTerm.getGraphemeString(row, col) : null));
+    }
+
+    // Drop blank lines below the last line with content
+    while (lines.length > 0 && lines[lines.length - 1].length === 0) {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Convert raw ghostty cells into export cells, resolving graphemes and inverse video.
+ */
+function toExportCells(cells, style, getGrapheme) {
+    const result = [];
+    for (let col = 0; col < cells.length; col++) {
+        const cell = cells[col];
+        // Width 0 is the trailing half of a wide character
+        if (cell.width === 0) continue;
+
+        let fg = rgb(cell.fg_r, cell.fg_g, cell.fg_b);
+        let bg = rgb(cell.bg_r, cell.bg_g, cell.bg_b);
+        if (bg === style.defaultBackground) {
+            bg = null;
+        }
+
+        if (cell.flags & CellFlags.INVERSE) {
+            [fg, bg] = [bg ?? style.background, fg];
+        }
+
+        const text = (cell.flags & CellFlags.INVISIBLE)
+            ? ' '
+            : getGrapheme(col, cell) ?? String.fromCodePoint(cell.codepoint || 32);
+
+        result.push({ text, width: cell.width || 1, fg, bg, flags: cell.flags });
+    }
+
+    while (result.length > 0) {
+        const last = result[result.length - 1];
+        if (last.text !== ' ' || last.bg) break;
+        result.pop();
+    }
+    return result;
+}
+
+/**
+ * Merge adjacent cells with identical styling into runs: { col, width, text, fg, bg, flags }.
+ */
+function toRuns(cells) {
+    const runs = [];
+    let col = 0;
+    for (const cell of cells) {
+        const previous = runs[runs.length - 1];
+        if (previous && previous.fg === cell.fg && previous.bg === cell.bg && previous.flags === cell.flags) {
+            previous.text += cell.text;
+            previous.width += cell.width;
+        } else {
+            runs.push({ col, width: cell.width, text: cell.text, fg: cell.fg, bg: cell.bg, flags: cell.flags });
+        }
+        col += cell.width;
+    }
+    return runs;
+}
+
+function rgb(r, g, b) {
+    return `#${((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1)}`;
+}
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * The theme, font and cell metrics the terminal is currently rendering with.
+ */
+function getStyle(terminal) {
+    const theme = terminal.renderer?.theme || {};
+    const colors = terminal.wasmTerm?.getColors?.();
+    const fontSize = terminal.options?.fontSize || 15;
+    const metrics = terminal.renderer?.getMetrics?.();
+    const defaultBackground = colors ? rgb(colors.background.r, colors.background.g, colors.background.b) : null;
+
+    return {
+        background: theme.background || defaultBackground || '#000000',
+        // The background ghostty gives cells without one of their own
+        defaultBackground: defaultBackground ?? (theme.background || '#000000').toLowerCase(),
+        foreground: theme.foreground || (colors ? rgb(colors.foreground.r, colors.foreground.g, colors.foreground.b) : '#ffffff'),
+        fontFamily: terminal.options?.fontFamily || 'monospace',
+        fontSize,
+        cellWidth: metrics?.width || Math.ceil(fontSize * 0.6),
+        cellHeight: metrics?.height || Math.ceil(fontSize * 1.2),
+        baseline: metrics?.baseline || Math.ceil(fontSize)
+    };
+}
+
+/**
+ * Serialize the terminal as an SVG document with selectable text.
+ */
+export function exportSvg(terminal) {
+    const style = getStyle(terminal);
+    const lines = collectLines(terminal, style);
+    const padding = 8;
+    const width = terminal.cols * style.cellWidth + padding * 2;
+    const height = Math.max(lines.length, 1) * style.cellHeight + padding * 2;
+
+    const backgrounds = [];
+    const texts = [];
+    lines.forEach((cells, row) => {
+        const y = padding + row * style.cellHeight;
+        const spans = [];
+        for (const run of toRuns(cells)) {
+            const x = padding + run.col * style.cellWidth;
+            if (run.bg) {
+                backgrounds.push(`<rect x="${x}" y="${y}" width="${run.width * style.cellWidth}" height="${style.cellHeight}" fill="${run.bg}"/>`);
+            }
+            if (run.text.trim().length === 0) continue;
+
+            const attributes = [`x="${x}"`, `textLength="${run.width * style.cellWidth}"`, 'lengthAdjust="spacingAndGlyphs"'];
+            if (run.fg && run.fg !== style.foreground) attributes.push(`fill="${run.fg}"`);
+            if (run.flags & CellFlags.BOLD) attributes.push('font-weight="bold"');
+            if (run.flags & CellFlags.ITALIC) attributes.push('font-style="italic"');
+            if (run.flags & CellFlags.FAINT) attributes.push('opacity="0.5"');
+            const decorations = [];
+            if (run.flags & CellFlags.UNDERLINE) decorations.push('underline');
+            if (run.flags & CellFlags.STRIKETHROUGH) decorations.push('line-through');
+            if (decorations.length > 0) attributes.push(`text-decoration="${decorations.join(' ')}"`);
+            spans.push(`<tspan ${attributes.join(' ')}>${escapeXml(run.text)}</tspan>`);
+        }
+        if (spans.length > 0) {
+            texts.push(`<text y="${y + style.baseline}">${spans.join('')}</text>`);
+        }
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+        `<style>text { font-family: ${escapeXml(style.fontFamily)}; font-size: ${style.fontSize}px; white-space: pre; fill: ${style.foreground}; }</style>`,
+        `<rect width="100%" height="100%" fill="${style.background}"/>`,
+        ...backgrounds,
+        ...texts,
+        '</svg>'
+    ].join('\n');
+}
+
+/**
+ * Serialize the terminal as a self-contained HTML document with inline styles.
+ */
+export function exportHtml(terminal) {
+    const style = getStyle(terminal);
+    const lines = collectLines(terminal, style).map(cells => toRuns(cells).map(run => {
+        const css = [];
+        if (run.fg && run.fg !== style.foreground) css.push(`color:${run.fg}`);
+        if (run.bg) css.push(`background:${run.bg}`);
+        if (run.flags & CellFlags.BOLD) css.push('font-weight:bold');
+        if (run.flags & CellFlags.ITALIC) css.push('font-style:italic');
+        if (run.flags & CellFlags.FAINT) css.push('opacity:0.5');
+        const decorations = [];
+        if (run.flags & CellFlags.UNDERLINE) decorations.push('underline');
+        if (run.flags & CellFlags.STRIKETHROUGH) decorations.push('line-through');
+        if (decorations.length > 0) css.push(`text-decoration:${decorations.join(' ')}`);
+
+        const text = escapeXml(run.text);
+        return css.length > 0 ? `<span style="${css.join(';')}">${text}</span>` : text;
+    }).join(''));
+
+    const preStyle = [
+        `background:${style.background}`,
+        `color:${style.foreground}`,
+        `font-family:${escapeXml(style.fontFamily)}`,
+        `font-size:${style.fontSize}px`,
+        `line-height:${style.cellHeight}px`,
+        'padding:8px',
+        'margin:0',
+        'display:inline-block'
+    ].join(';');
+
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<head><meta charset="utf-8"><title>Spectre.Console Playground</title></head>',
+        `<body style="margin:0;background:${style.background}">`,
+        `<pre style="${preStyle}">${lines.join('\n')}</pre>`,
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+/**
+ * Capture the visible screen as a PNG straight from the renderer's canvas.
+ */
+export function exportPng(terminal) {
+    const canvas = terminal.renderer?.getCanvas?.();
+    if (!canvas) {
+        return Promise.resolve(null);
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Save a blob through a temporary download link.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export default {
+    exportSvg,
+    exportHtml,
+    exportPng,
+    downloadBlob
+};
@@ -0,0 +1,132 @@
+/**
+ * Framed message protocol for the input and control ring buffers of the Spectre.Console Playground,
+ * shared with C# TerminalProtocol (SharedRingBuffer.cs).
+ *
+ * Frame: [version: u8, type: u8, length: u16 (LE), payload: length bytes]
+ * - Key (type 1):    [keyCode: u8, modifiers: u8, keyChar: u32 (LE)], keyChar is a code point
+ * - Text (type 2):   UTF-8 text that did not come from key presses (paste, IME)
+ * - Resize (type 3): [cols: u16 (LE), rows: u16 (LE)]
+ * - Mouse (type 4):  [action: u8, button: u8, x: u16 (LE), y: u16 (LE), modifiers: u8]
+ * - Focus (type 5):  [focused: u8]
+ * - Cancel (type 6): no payload
+ *
+ * Modifiers are a bit set: shift = 1, alt = 2, ctrl = 4.
+ * The reader skips frames with another version or an unknown type by their length.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const FRAME_HEADER_SIZE = 4;
+
+export const MessageType = Object.freeze({
+    Key: 1,
+    Text: 2,
+    Resize: 3,
+    Mouse: 4,
+    Focus: 5,
+    Cancel: 6
+});
+
+// Text frames carry at most this many code points (up to 4 UTF-8 bytes each), well under the input ring size
+const TEXT_CHUNK_CODE_POINTS = 256;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Allocate a frame with its header filled in; the payload starts at FRAME_HEADER_SIZE.
+ */
+function createFrame(type, length) {
+    const data = new Uint8Array(FRAME_HEADER_SIZE + length);
+    data[0] = PROTOCOL_VERSION;
+    data[1] = type;
+    data[2] = length & 0xFF;
+    data[3] = (length >> 8) & 0xFF;
+    return data;
+}
+
+function encodeModifiers(shift, alt, ctrl) {
+    return (shift ? 1 : 0) | (alt ? 2 : 0) | (ctrl ? 4 : 0);
+}
+
+/**
+ * Encode a ConsoleKeyInfo. keyChar is a code point; C# reads one outside the BMP as a surrogate pair of keys.
+ */
+export function encodeKey(keyCode, keyChar, shift, alt, ctrl) {
+    const data = createFrame(MessageType.Key, 6);
+    data[4] = keyCode & 0xFF;
+    data[5] = encodeModifiers(shift, alt, ctrl);
+    data[6] = keyChar & 0xFF;
+    data[7] = (keyChar >> 8) & 0xFF;
+    data[8] = (keyChar >> 16) & 0xFF;
+    data[9] = (keyChar >> 24) & 0xFF;
+    return data;
+}
+
+/**
+ * Encode text as one or more frames, split between code points.
+ * C# types each character with the key that produces it on a US layout.
+ */
+export function encodeText(text) {
+    const codePoints = [...text];
+    const frames = [];
+    for (let start = 0; start < codePoints.length; start += TEXT_CHUNK_CODE_POINTS) {
+        const bytes = textEncoder.encode(codePoints.slice(start, start + TEXT_CHUNK_CODE_POINTS).join(''));
+        const data = createFrame(MessageType.Text, bytes.length);
+        data.set(bytes, FRAME_HEADER_SIZE);
+        frames.push(data);
+    }
+    return frames;
+}
+
+/**
+ * Encode a terminal resize.
+ */
+export function encodeResize(cols, rows) {
+    const data = createFrame(MessageType.Resize, 4);
+    data[4] = cols & 0xFF;
+    data[5] = (cols >> 8) & 0xFF;
+    data[6] = rows & 0xFF;
+    data[7] = (rows >> 8) & 0xFF;
+    return data;
+}
+
+/**
+ * Encode a mouse event (action and button match C# MouseAction / MouseButton).
+ */
+export function encodeMouse(action, button, x, y, shift, alt, ctrl) {
+    const data = createFrame(MessageType.Mouse, 7);
+    data[4] = action;
+    data[5] = button;
+    data[6] = x & 0xFF;
+    data[7] = (x >> 8) & 0xFF;
+    data[8] = y & 0xFF;
+    data[9] = (y >> 8) & 0xFF;
+    data[10] = encodeModifiers(shift, alt, ctrl);
+    return data;
+}
+
+/**
+ * Encode a change of terminal focus.
+ */
+export function encodeFocus(focused) {
+    const data = createFrame(MessageType.Focus, 1);
+    data[4] = focused ? 1 : 0;
+    return data;
+}
+
+/**
+ * Encode a cancel message, which wakes up any ReadKey/ReadMouse waiting on the C# side.
+ */
+export function encodeCancel() {
+    return createFrame(MessageType.Cancel, 0);
+}
+
+export default {
+    PROTOCOL_VERSION,
+    MessageType,
+    encodeKey,
+    encodeText,
+    encodeResize,
+    encodeMouse,
+    encodeFocus,
+    encodeCancel
+};
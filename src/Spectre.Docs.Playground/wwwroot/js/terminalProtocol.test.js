@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as protocol from './terminalProtocol.js';
+
+const { PROTOCOL_VERSION, FRAME_HEADER_SIZE, MessageType, encodeText } = protocol;
+
+// Data size of the input ring (SharedTerminalIO.InputBufferSize without the header)
+const INPUT_RING_SIZE = 4 * 1024;
+
+// The same frames are read by the C# TerminalProtocol in TerminalProtocolTests
+const FIXTURE_URL = new URL('../../../../tests/Spectre.Docs.Playground.Tests/Fixtures/terminal-frames.json', import.meta.url);
+const { frames: FIXTURE_FRAMES } = JSON.parse(readFileSync(FIXTURE_URL, 'utf8'));
+
+const decoder = new TextDecoder();
+
+function toHex(bytes) {
+    return Buffer.from(bytes).toString('hex');
+}
+
+function readHeader(frame) {
+    return { version: frame[0], type: frame[1], length: frame[2] | (frame[3] << 8) };
+}
+
+describe('terminal protocol', () => {
+    describe('encodes the shared fixture frames', () => {
+        for (const { name, encode: [encoder, ...args], type, frame } of FIXTURE_FRAMES) {
+            it(name, () => {
+                const encoded = protocol[encoder](...args);
+                // Text is the only message that can take several frames
+                assert.equal(toHex(Array.isArray(encoded) ? encoded.flatMap(bytes => [...bytes]) : encoded), frame);
+
+                const header = readHeader(Buffer.from(frame, 'hex'));
+                assert.equal(header.version, PROTOCOL_VERSION);
+                assert.equal(header.type, MessageType[type]);
+                assert.equal(header.length, frame.length / 2 - FRAME_HEADER_SIZE);
+            });
+        }
+    });
+
+    it('has a fixture frame for every message type', () => {
+        assert.deepEqual(new Set(FIXTURE_FRAMES.map(frame => frame.type)), new Set(Object.keys(MessageType)));
+    });
+
+    it('encodes empty text as no frames', () => {
+        assert.deepEqual(encodeText(''), []);
+    });
+
+    it('splits long text between code points into frames the ring can hold', () => {
+        const text = '😀a'.repeat(1000);
+        const frames = encodeText(text);
+        assert.ok(frames.length > 1);
+
+        const payloads = frames.map(frame => {
+            const { version, type, length } = readHeader(frame);
+            assert.equal(version, PROTOCOL_VERSION);
+            assert.equal(type, MessageType.Text);
+            assert.equal(length, frame.length - FRAME_HEADER_SIZE);
+            // TerminalProtocol.TryReadFrame discards a frame that is not smaller than the ring's data
+            assert.ok(frame.length < INPUT_RING_SIZE);
+            // Each frame decodes on its own, so no character is split between two of them
+            return decoder.decode(frame.subarray(FRAME_HEADER_SIZE), { fatal: true });
+        });
+        assert.equal(payloads.join(''), text);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * User-configurable terminal settings for Spectre.Console Playground.
+ * Settings are kept in localStorage and applied when the terminal starts.
+ */
+
+const STORAGE_KEY = 'terminalSettings';
+
+export const CURSOR_STYLES = Object.freeze(['block', 'underline', 'bar']);
+
+export const MIN_FONT_SIZE = 8;
+export const MAX_FONT_SIZE = 40;
+export const MIN_SCROLLBACK = 0;
+export const MAX_SCROLLBACK = 100000;
+
+export const DEFAULT_SETTINGS = Object.freeze({
+    fontSize: 18,
+    fontFamily: '"JetBrainsMono NF", Monaco, Menlo, "Courier New", monospace',
+    cursorStyle: 'block',
+    cursorBlink: true,
+    scrollback: 1000
+});
+
+/**
+ * Validate a single setting. Returns the normalized value, or undefined if it is invalid.
+ */
+export function normalizeSetting(name, value) {
+    switch (name) {
+        case 'fontSize': {
+            const size = parseInteger(value);
+            return Number.isFinite(size) ? Math.min(MAX_FONT_SIZE, Math.max(MIN_FONT_SIZE, size)) : undefined;
+        }
+        case 'fontFamily':
+            return typeof value === 'string' && value.trim().length > 0 ? value.trim() : undefined;
+        case 'cursorStyle':
+            return CURSOR_STYLES.includes(value) ? value : undefined;
+        case 'cursorBlink':
+            return typeof value === 'boolean' ? value : undefined;
+        case 'scrollback': {
+            const lines = parseInteger(value);
+            return Number.isFinite(lines) ? Math.min(MAX_SCROLLBACK, Math.max(MIN_SCROLLBACK, lines)) : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Round a number or numeric string to a whole number. Anything else, including null and empty
+ * strings (which Number() turns into 0), gives NaN.
+ */
+function parseInteger(value) {
+    if (typeof value === 'string' && value.trim().length > 0) {
+        value = Number(value);
+    }
+    return typeof value === 'number' ? Math.round(value) : NaN;
+}
+
+/**
+ * Load settings from localStorage, falling back to defaults for anything missing or invalid.
+ */
+export function loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS };
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        for (const name of Object.keys(DEFAULT_SETTINGS)) {
+            const value = normalizeSetting(name, stored[name]);
+            if (value !== undefined) {
+                settings[name] = value;
+            }
+        }
+    } catch {
+        // Unreadable or unavailable storage - use the defaults
+    }
+    return settings;
+}
+
+/**
+ * Persist settings to localStorage.
+ */
+export function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // Not persisted - the settings still apply for this session
+    }
+}
+
+/**
+ * Forget stored settings.
+ */
+export function clearSettings() {
+    try {
+        localStorage.removeItem(STORAGE_KEY);
+    } catch {
+        // Nothing to clear
+    }
+}
+
+export default {
+    CURSOR_STYLES,
+    DEFAULT_SETTINGS,
+    normalizeSetting,
+    loadSettings,
+    saveSettings,
+    clearSettings
+};
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSetting, MIN_FONT_SIZE, MAX_FONT_SIZE, MAX_SCROLLBACK } from './terminalSettings.js';
+
+describe('normalizeSetting', () => {
+    it('accepts numbers and numeric strings for sizes', () => {
+        assert.equal(normalizeSetting('fontSize', 14), 14);
+        assert.equal(normalizeSetting('fontSize', ' 15.6 '), 16);
+        assert.equal(normalizeSetting('scrollback', '0'), 0);
+    });
+
+    it('clamps sizes to their range', () => {
+        assert.equal(normalizeSetting('fontSize', 2), MIN_FONT_SIZE);
+        assert.equal(normalizeSetting('fontSize', 400), MAX_FONT_SIZE);
+        assert.equal(normalizeSetting('scrollback', -5), 0);
+        assert.equal(normalizeSetting('scrollback', 1e9), MAX_SCROLLBACK);
+    });
+
+    it('rejects sizes that are not numbers', () => {
+        for (const value of [null, undefined, '', '   ', 'large', true, NaN, Infinity, {}]) {
+            assert.equal(normalizeSetting('fontSize', value), undefined, String(value));
+            assert.equal(normalizeSetting('scrollback', value), undefined, String(value));
+        }
+    });
+
+    it('validates the other settings', () => {
+        assert.equal(normalizeSetting('fontFamily', '  Menlo '), 'Menlo');
+        assert.equal(normalizeSetting('fontFamily', ' '), undefined);
+        assert.equal(normalizeSetting('cursorStyle', 'bar'), 'bar');
+        assert.equal(normalizeSetting('cursorStyle', 'beam'), undefined);
+        assert.equal(normalizeSetting('cursorBlink', false), false);
+        assert.equal(normalizeSetting('cursorBlink', 'false'), undefined);
+        assert.equal(normalizeSetting('unknown', 1), undefined);
+    });
+});
@@ -0,0 +1,232 @@
+/**
+ * Terminal color themes for Spectre.Console Playground.
+ *
+ * The terminal follows the site's light/dark toggle ('auto') unless the user
+ * picks a palette explicitly; the choice is kept in localStorage.
+ */
+
+const STORAGE_KEY = 'terminalTheme';
+
+/** Theme preference that follows the page's .dark class. */
+export const AUTO_THEME = 'auto';
+
+/** Themes used by 'auto' for the dark and light page themes. */
+const AUTO_DARK_THEME = 'one-dark';
+const AUTO_LIGHT_THEME = 'one-light';
+
+/**
+ * Built-in palettes, keyed by id.
+ * Colors use ghostty's ITheme shape (background, foreground, cursor, 16 ANSI colors).
+ */
+export const TERMINAL_THEMES = Object.freeze({
+    'one-dark': {
+        name: 'One Dark',
+        dark: true,
+        colors: {
+            background: '#1e1e1e',
+            foreground: '#abb2bf',
+            cursor: '#d4d4d4',
+            cursorAccent: '#1e1e1e',
+            black: '#282c34',
+            red: '#e06c75',
+            green: '#98c379',
+            yellow: '#e5c07b',
+            blue: '#61afef',
+            magenta: '#c678dd',
+            cyan: '#56b6c2',
+            white: '#abb2bf',
+            brightBlack: '#5c6370',
+            brightRed: '#e06c75',
+            brightGreen: '#98c379',
+            brightYellow: '#e5c07b',
+            brightBlue: '#61afef',
+            brightMagenta: '#c678dd',
+            brightCyan: '#56b6c2',
+            brightWhite: '#ffffff'
+        }
+    },
+    'one-light': {
+        name: 'One Light',
+        dark: false,
+        colors: {
+            background: '#fafafa',
+            foreground: '#383a42',
+            cursor: '#526fff',
+            cursorAccent: '#fafafa',
+            black: '#383a42',
+            red: '#e45649',
+            green: '#50a14f',
+            yellow: '#c18401',
+            blue: '#4078f2',
+            magenta: '#a626a4',
+            cyan: '#0184bc',
+            white: '#7f848e',
+            brightBlack: '#696c77',
+            brightRed: '#ca1243',
+            brightGreen: '#3e953a',
+            brightYellow: '#986801',
+            brightBlue: '#2a5bd7',
+            brightMagenta: '#8b1c8a',
+            brightCyan: '#0b6e99',
+            brightWhite: '#202227'
+        }
+    },
+    'dracula': {
+        name: 'Dracula',
+        dark: true,
+        colors: {
+            background: '#282a36',
+            foreground: '#f8f8f2',
+            cursor: '#f8f8f2',
+            cursorAccent: '#282a36',
+            black: '#21222c',
+            red: '#ff5555',
+            green: '#50fa7b',
+            yellow: '#f1fa8c',
+            blue: '#bd93f9',
+            magenta: '#ff79c6',
+            cyan: '#8be9fd',
+            white: '#f8f8f2',
+            brightBlack: '#6272a4',
+            brightRed: '#ff6e6e',
+            brightGreen: '#69ff94',
+            brightYellow: '#ffffa5',
+            brightBlue: '#d6acff',
+            brightMagenta: '#ff92df',
+            brightCyan: '#a4ffff',
+            brightWhite: '#ffffff'
+        }
+    },
+    'solarized-dark': {
+        name: 'Solarized Dark',
+        dark: true,
+        colors: {
+            background: '#002b36',
+            foreground: '#839496',
+            cursor: '#93a1a1',
+            cursorAccent: '#002b36',
+            black: '#073642',
+            red: '#dc322f',
+            green: '#859900',
+            yellow: '#b58900',
+            blue: '#268bd2',
+            magenta: '#d33682',
+            cyan: '#2aa198',
+            white: '#eee8d5',
+            brightBlack: '#586e75',
+            brightRed: '#cb4b16',
+            brightGreen: '#93a1a1',
+            brightYellow: '#657b83',
+            brightBlue: '#839496',
+            brightMagenta: '#6c71c4',
+            brightCyan: '#93a1a1',
+            brightWhite: '#fdf6e3'
+        }
+    },
+    'solarized-light': {
+        name: 'Solarized Light',
+        dark: false,
+        colors: {
+            background: '#fdf6e3',
+            foreground: '#657b83',
+            cursor: '#586e75',
+            cursorAccent: '#fdf6e3',
+            black: '#073642',
+            red: '#dc322f',
+            green: '#859900',
+            yellow: '#b58900',
+            blue: '#268bd2',
+            magenta: '#d33682',
+            cyan: '#2aa198',
+            white: '#93a1a1',
+            brightBlack: '#586e75',
+            brightRed: '#cb4b16',
+            brightGreen: '#586e75',
+            brightYellow: '#657b83',
+            brightBlue: '#839496',
+            brightMagenta: '#6c71c4',
+            brightCyan: '#93a1a1',
+            brightWhite: '#002b36'
+        }
+    },
+    'github-light': {
+        name: 'GitHub Light',
+        dark: false,
+        colors: {
+            background: '#ffffff',
+            foreground: '#24292f',
+            cursor: '#0969da',
+            cursorAccent: '#ffffff',
+            black: '#24292f',
+            red: '#cf222e',
+            green: '#116329',
+            yellow: '#4d2d00',
+            blue: '#0969da',
+            magenta: '#8250df',
+            cyan: '#1b7c83',
+            white: '#6e7781',
+            brightBlack: '#57606a',
+            brightRed: '#a40e26',
+            brightGreen: '#1a7f37',
+            brightYellow: '#633c01',
+            brightBlue: '#218bff',
+            brightMagenta: '#a475f9',
+            brightCyan: '#3192aa',
+            brightWhite: '#8c959f'
+        }
+    }
+});
+
+/**
+ * Whether the page is currently in dark mode.
+ */
+export function isPageDark() {
+    return document.documentElement.classList.contains('dark');
+}
+
+/**
+ * The stored theme preference: 'auto' or a theme id.
+ */
+export function getThemePreference() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored && (stored === AUTO_THEME || TERMINAL_THEMES[stored])) {
+            return stored;
+        }
+    } catch {
+        // localStorage may be unavailable (privacy mode, sandboxed iframe)
+    }
+    return AUTO_THEME;
+}
+
+/**
+ * Persist the theme preference. Unknown ids fall back to 'auto'.
+ */
+export function setThemePreference(preference) {
+    const value = TERMINAL_THEMES[preference] ? preference : AUTO_THEME;
+    try {
+        localStorage.setItem(STORAGE_KEY, value);
+    } catch {
+        // Not persisted - the choice still applies for this session
+    }
+    return value;
+}
+
+/**
+ * Resolve a preference to a theme, using the page's light/dark mode for 'auto'.
+ */
+export function resolveTheme(preference, dark = isPageDark()) {
+    if (preference !== AUTO_THEME && TERMINAL_THEMES[preference]) {
+        return TERMINAL_THEMES[preference];
+    }
+    return TERMINAL_THEMES[dark ? AUTO_DARK_THEME : AUTO_LIGHT_THEME];
+}
+
+export default {
+    AUTO_THEME,
+    TERMINAL_THEMES,
+    isPageDark,
+    getThemePreference,
+    setThemePreference,
+    resolveTheme
+};
@@ -0,0 +1,223 @@
+using System.Runtime.InteropServices;
+using System.Text.Json;
+using Spectre.Docs.Playground.Services;
+
+namespace Spectre.Docs.Playground.Tests;
+
+/// <summary>
+/// Reads the frames of Fixtures/terminal-frames.json with the C# side of <see cref="TerminalProtocol"/>.
+/// terminalProtocol.test.js checks that the JS encoders produce the same bytes, so the two sides
+/// can't drift apart unnoticed.
+/// </summary>
+public sealed unsafe class TerminalProtocolTests : IDisposable
+{
+    // Ring header size, and the data size of the input ring (SharedTerminalIO.InputBufferSize without the header)
+    private const int HeaderSize = 12;
+    private const int DataSize = 4 * 1024;
+
+    private static readonly Dictionary<string, byte> MessageTypes = new()
+    {
+        ["Key"] = TerminalProtocol.KeyMessage,
+        ["Text"] = TerminalProtocol.TextMessage,
+        ["Resize"] = TerminalProtocol.ResizeMessage,
+        ["Mouse"] = TerminalProtocol.MouseMessage,
+        ["Focus"] = TerminalProtocol.FocusMessage,
+        ["Cancel"] = TerminalProtocol.CancelMessage,
+    };
+
+    private static readonly Lazy<Dictionary<string, FixtureFrame>> Fixture = new(LoadFixture);
+
+    private readonly byte* _memory;
+    private readonly SharedRingBuffer _buffer;
+
+    public TerminalProtocolTests()
+    {
+        _memory = (byte*)NativeMemory.AllocZeroed(HeaderSize + DataSize);
+        _buffer = new SharedRingBuffer(_memory, HeaderSize + DataSize);
+    }
+
+    public void Dispose()
+    {
+        _buffer.Dispose();
+        NativeMemory.Free(_memory);
+    }
+
+    public static IEnumerable<object[]> FrameNames => Fixture.Value.Keys.Select(name => new object[] { name });
+
+    [Theory]
+    [MemberData(nameof(FrameNames))]
+    public void Reads_Each_Fixture_Frame_With_Its_Type_And_Payload(string name)
+    {
+        var frame = Frame(name);
+        Write(frame);
+
+        Assert.True(TerminalProtocol.TryReadFrame(_buffer, out var type, out var payload));
+        Assert.Equal(MessageTypes[Fixture.Value[name].Type], type);
+        Assert.Equal(frame[TerminalProtocol.FrameHeaderSize..], payload);
+        Assert.Equal(0, _buffer.Available());
+    }
+
+    [Fact]
+    public void Has_A_Fixture_Frame_For_Every_Message_Type()
+    {
+        Assert.Equal(MessageTypes.Keys.Order(), Fixture.Value.Values.Select(frame => frame.Type).Distinct().Order());
+    }
+
+    [Fact]
+    public void Reads_A_Key_As_Its_ConsoleKeyInfo()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("key"));
+
+        Assert.True(reader.TryReadKey(out var key));
+        Assert.Equal(new ConsoleKeyInfo('A', ConsoleKey.A, shift: true, alt: false, control: true), key);
+    }
+
+    [Fact]
+    public void Reads_A_Key_Outside_The_BMP_As_A_Surrogate_Pair()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("key outside the BMP"));
+
+        var keys = ReadKeys(reader);
+        Assert.Equal("😀", new string(keys.Select(key => key.KeyChar).ToArray()));
+        Assert.All(keys, key => Assert.Equal(ConsoleKey.NoName, key.Key));
+    }
+
+    [Fact]
+    public void Reads_Text_As_The_Keys_That_Type_It()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("text"));
+
+        var keys = ReadKeys(reader);
+        Assert.Equal("héllo €😀", new string(keys.Select(key => key.KeyChar).ToArray()));
+        Assert.Equal(ConsoleKey.H, keys[0].Key);
+        Assert.Equal(ConsoleKey.Spacebar, keys[5].Key);
+    }
+
+    [Fact]
+    public void Reads_A_Resize_From_The_Control_Ring()
+    {
+        var reader = new ControlMessageReader(_buffer);
+        Write(Frame("resize"));
+
+        Assert.True(reader.TryReadResize(out var cols, out var rows));
+        Assert.Equal((300, 80), (cols, rows));
+    }
+
+    [Fact]
+    public void Reads_A_Mouse_Event()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("mouse"));
+
+        Assert.True(reader.TryReadMouse(out var mouseEvent));
+        Assert.Equal(new MouseEvent(MouseAction.Move, MouseButton.Left, 1000, 258, Shift: false, Alt: true, Ctrl: false), mouseEvent);
+    }
+
+    [Fact]
+    public void Reads_A_Focus_Change()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("focus"));
+
+        Assert.True(reader.HasFocus);
+    }
+
+    [Fact]
+    public void Cancels_A_Waiting_Read()
+    {
+        var reader = new InputPacketReader(_buffer);
+        Write(Frame("cancel"));
+
+        Assert.Throws<OperationCanceledException>(() => reader.TryReadKey(out _));
+    }
+
+    [Fact]
+    public void Reads_Frames_Written_Across_The_End_Of_The_Ring()
+    {
+        Write(new byte[DataSize - 5]);
+        _buffer.Read(DataSize - 5);
+        Write(Frame("key"), Frame("resize"));
+
+        Assert.Equal(new[] { TerminalProtocol.KeyMessage, TerminalProtocol.ResizeMessage }, ReadTypes());
+    }
+
+    [Fact]
+    public void Skips_Frames_Of_Another_Version_By_Their_Length()
+    {
+        Write(
+            WithVersion(Frame("text"), TerminalProtocol.Version + 1),
+            Frame("focus"),
+            WithVersion(Frame("cancel"), 0),
+            Frame("resize"));
+
+        Assert.Equal(new[] { TerminalProtocol.FocusMessage, TerminalProtocol.ResizeMessage }, ReadTypes());
+    }
+
+    [Fact]
+    public void Resets_The_Ring_On_A_Frame_Larger_Than_It_Can_Hold()
+    {
+        var oversized = Frame("cancel");
+        BitConverter.TryWriteBytes(oversized.AsSpan(2), (ushort)(DataSize - TerminalProtocol.FrameHeaderSize));
+        Write(Frame("focus"), oversized, Frame("resize"));
+
+        Assert.Equal(new[] { TerminalProtocol.FocusMessage }, ReadTypes());
+        Assert.Equal(0, _buffer.Available());
+
+        // The stream is back in sync for the next frame
+        Write(Frame("cancel"));
+        Assert.Equal(new[] { TerminalProtocol.CancelMessage }, ReadTypes());
+    }
+
+    private static Dictionary<string, FixtureFrame> LoadFixture()
+    {
+        var json = File.ReadAllText(Path.Combine(AppContext.BaseDirectory, "Fixtures", "terminal-frames.json"));
+        var fixture = JsonSerializer.Deserialize<FixtureFile>(json, JsonSerializerOptions.Web)
+            ?? throw new InvalidDataException("terminal-frames.json is empty");
+        return fixture.Frames.ToDictionary(frame => frame.Name);
+    }
+
+    private static byte[] Frame(string name) => Convert.FromHexString(Fixture.Value[name].Frame);
+
+    private static byte[] WithVersion(byte[] frame, int version)
+    {
+        frame[0] = (byte)version;
+        return frame;
+    }
+
+    private void Write(params byte[][] frames)
+    {
+        foreach (var frame in frames)
+        {
+            Assert.True(_buffer.Write(frame));
+        }
+    }
+
+    private List<byte> ReadTypes()
+    {
+        List<byte> types = [];
+        while (TerminalProtocol.TryReadFrame(_buffer, out var type, out _))
+        {
+            types.Add(type);
+        }
+
+        return types;
+    }
+
+    private static List<ConsoleKeyInfo> ReadKeys(InputPacketReader reader)
+    {
+        List<ConsoleKeyInfo> keys = [];
+        while (reader.TryReadKey(out var key))
+        {
+            keys.Add(key);
+        }
+
+        return keys;
+    }
+
+    private sealed record FixtureFile(List<FixtureFrame> Frames);
+
+    private sealed record FixtureFrame(string Name, string Type, string Frame);
+}